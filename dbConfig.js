@@ -1,4 +1,5 @@
 const sql = require('mssql');
+require('dotenv').config();
 
 const dbConfig = {
   user: process.env.DB_USER,
@@ -6,8 +7,11 @@ const dbConfig = {
   server: process.env.DB_SERVER,
   database: process.env.DB_NAME,
   options: {
-    encrypt: true,               // REQUIRED for Azure SQL
-    trustServerCertificate: false
+    // Azure SQL requires encryption with a verified certificate; a local
+    // SQL Server or Docker instance usually needs
+    // DB_TRUST_SERVER_CERTIFICATE=true for its self-signed one
+    encrypt: process.env.DB_ENCRYPT !== 'false',
+    trustServerCertificate: process.env.DB_TRUST_SERVER_CERTIFICATE === 'true'
   },
   pool: {
     max: 5,
@@ -16,18 +20,53 @@ const dbConfig = {
   }
 };
 
-let pool;
+let poolPromise;
 
 /**
- * Reuse connection across invocations (important for serverless)
+ * Reuse connection across invocations (important for serverless).
+ * The pending connect is cached too, so concurrent cold invocations share
+ * one pool instead of racing; a failed connect is not cached.
+ * Callers must never close the returned pool.
  */
-async function getPool() {
-  if (pool) return pool;
-  pool = await sql.connect(dbConfig);
-  return pool;
+function getPool() {
+  if (poolPromise) return poolPromise;
+
+  const pool = new sql.ConnectionPool(dbConfig);
+  pool.on('error', (error) => {
+    console.error('SQL pool error:', error);
+  });
+
+  poolPromise = pool.connect().catch((error) => {
+    poolPromise = undefined;
+    throw error;
+  });
+
+  return poolPromise;
+}
+
+/**
+ * Run `work(transaction)` in a transaction; rolls back if it throws
+ */
+async function withTransaction(pool, work) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    const result = await work(transaction);
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    try {
+      await transaction.rollback();
+    } catch (rollbackError) {
+      console.error('Rollback failed:', rollbackError);
+    }
+    throw error;
+  }
 }
 
 module.exports = {
   sql,
-  getPool
+  getPool,
+  withTransaction
 };
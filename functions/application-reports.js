@@ -0,0 +1,321 @@
+const ExcelJS = require('exceljs');
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { toCsv } = require('../lib/csv');
+const { documents, reports } = require('../lib/repositories');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:8888';
+const STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'FINAL_APPROVED'];
+const MAX_EXPORT_ROWS = parseInt(process.env.REPORT_MAX_EXPORT_ROWS || '5000');
+
+const DATE_FIELD = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date (YYYY-MM-DD)',
+};
+
+const FILTER_FIELDS = {
+  // Organisers only; reviewers are always scoped to their own college
+  college_code: { type: 'string', uppercase: true, maxLength: 20, default: null },
+  status: { type: 'enum', values: STATUSES, uppercase: true, default: null },
+  department: { type: 'string', maxLength: 100, default: null },
+  year_of_study: { type: 'integer', min: 1, max: 5, default: null },
+  submitted_from: { ...DATE_FIELD, default: null },
+  submitted_to: { ...DATE_FIELD, default: null },
+};
+
+// The pattern accepts 2024-02-30; a real date survives the round trip
+const isRealDate = (text) => {
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+};
+
+const FILTER_CHECKS = [
+  ...['submitted_from', 'submitted_to'].map((field) => ({
+    fields: [field],
+    field,
+    check: (value) => (value[field] && !isRealDate(value[field]) ? 'is not a real date' : null),
+  })),
+  {
+    fields: ['submitted_from', 'submitted_to'],
+    field: 'submitted_to',
+    check: ({ submitted_from, submitted_to }) => (
+      submitted_from && submitted_to && submitted_to < submitted_from
+        ? 'must not be before submitted_from'
+        : null
+    ),
+  },
+];
+
+const SUMMARY_SCHEMA = {
+  fields: FILTER_FIELDS,
+  checks: FILTER_CHECKS,
+};
+
+const EXPORT_SCHEMA = {
+  fields: {
+    ...FILTER_FIELDS,
+    format: { type: 'enum', values: ['csv', 'xlsx'], default: 'csv' },
+    include_document_links: { type: 'boolean', default: true },
+  },
+  checks: FILTER_CHECKS,
+};
+
+// Export columns, in order: [key, header, width]
+const EXPORT_COLUMNS = [
+  ['application_id', 'Application ID', 14],
+  ['usn', 'USN', 14],
+  ['full_name', 'Name', 28],
+  ['email', 'Email', 30],
+  ['college_code', 'College code', 14],
+  ['college_name', 'College', 36],
+  ['department', 'Department', 28],
+  ['year_of_study', 'Year', 6],
+  ['semester', 'Semester', 9],
+  ['blood_group', 'Blood group', 12],
+  ['status', 'Status', 16],
+  ['attempt_no', 'Attempt', 8],
+  ['submitted_at', 'Submitted at', 22],
+  ['reviewed_at', 'Reviewed at', 22],
+  ['final_approved_at', 'Final approval at', 22],
+  ['rejected_reason', 'Rejection reason', 40],
+];
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT; reviewers report on their own college, organisers on
+// every college
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, ['REVIEWER', 'ORGANISER']);
+
+  return {
+    role: decoded.role,
+    actor_id: decoded.role === 'REVIEWER' ? decoded.reviewer_id : decoded.organiser_id,
+    college_code: decoded.college_code,
+  };
+};
+
+// ============================================================================
+// HELPER: Validated filters with the caller's college scope applied
+// ============================================================================
+const readFilters = (auth, schema, body) => {
+  const { value, fields } = validate(schema, body);
+  if (fields) return { fields };
+
+  if (auth.role === 'REVIEWER') {
+    if (value.college_code && value.college_code !== auth.college_code) {
+      return { fields: { college_code: 'must be your own college' } };
+    }
+    value.college_code = auth.college_code;
+  }
+
+  return { value };
+};
+
+// ============================================================================
+// HELPER: Portal links for the current attempt's documents, keyed by
+// application_id then document_type. Exports get passed around, so a link
+// carries no access itself: the portal resolves it through document-access
+// (get_document_links with document_id), which checks the signed-in user
+// and logs the access.
+// ============================================================================
+const buildDocumentLinks = async (pool, application_ids) => {
+  const rows = await documents.listCurrentForApplications(pool, application_ids);
+  const links = new Map();
+
+  for (const doc of rows) {
+    if (!links.has(doc.application_id)) links.set(doc.application_id, {});
+    const query = new URLSearchParams({ application_id: doc.application_id, document_id: doc.document_id });
+    links.get(doc.application_id)[doc.document_type] = `${APP_BASE_URL}/document?${query}`;
+  }
+
+  const document_types = [...new Set(rows.map((doc) => doc.document_type))].sort();
+  return { links, document_types };
+};
+
+// ============================================================================
+// HELPER: Render the export as a CSV or XLSX file response
+// ============================================================================
+const renderExport = async (format, rows, documentLinks) => {
+  const { links, document_types } = documentLinks || { links: new Map(), document_types: [] };
+  const linkFor = (row, type) => (links.get(row.application_id) || {})[type] || null;
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `applications-${stamp}.${format}`;
+
+  const fileHeaders = (contentType) => ({
+    ...headers,
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  });
+
+  if (format === 'csv') {
+    const table = [
+      [...EXPORT_COLUMNS.map(([, header]) => header), ...document_types],
+      ...rows.map((row) => [
+        ...EXPORT_COLUMNS.map(([key]) => row[key]),
+        ...document_types.map((type) => linkFor(row, type)),
+      ]),
+    ];
+
+    return {
+      statusCode: 200,
+      headers: fileHeaders('text/csv; charset=utf-8'),
+      // BOM so Excel opens the file as UTF-8
+      body: '\uFEFF' + toCsv(table),
+    };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Applications');
+  sheet.columns = [
+    ...EXPORT_COLUMNS.map(([key, header, width]) => ({ key, header, width })),
+    ...document_types.map((type) => ({ key: `doc_${type}`, header: type, width: 14 })),
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const row of rows) {
+    const values = {};
+    for (const [key] of EXPORT_COLUMNS) values[key] = row[key];
+    for (const type of document_types) {
+      const link = linkFor(row, type);
+      values[`doc_${type}`] = link ? { text: 'Open', hyperlink: link } : null;
+    }
+    sheet.addRow(values);
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  return {
+    statusCode: 200,
+    headers: fileHeaders('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'),
+    body: Buffer.from(buffer).toString('base64'),
+    isBase64Encoded: true,
+  };
+};
+
+// ============================================================================
+// ACTION: get_summary (counts by status, college, department, year and
+// blood group)
+// ============================================================================
+const getSummary = async (pool, auth, body) => {
+  const { value: filters, fields } = readFilters(auth, SUMMARY_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      filters,
+      ...(await reports.summarize(pool, filters)),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: export_applications (CSV or XLSX file, filtered like the summary)
+// ============================================================================
+const exportApplications = async (pool, auth, body) => {
+  const { value, fields } = readFilters(auth, EXPORT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { format, include_document_links, ...filters } = value;
+  const { rows, truncated } = await reports.listForExport(pool, filters, { limit: MAX_EXPORT_ROWS });
+
+  if (truncated) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: `More than ${MAX_EXPORT_ROWS} applications match; narrow the filters and export again`,
+      }),
+    };
+  }
+
+  const documentLinks = include_document_links
+    ? await buildDocumentLinks(pool, rows.map((row) => row.application_id))
+    : null;
+
+  return renderExport(format, rows, documentLinks);
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('application-reports', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'get_summary') {
+      return await getSummary(pool, auth, body);
+    } else if (action === 'export_applications') {
+      return await exportApplications(pool, auth, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -0,0 +1,31 @@
+// Scheduled (see netlify.toml): deletes expired application sessions and
+// orphaned document blobs. Set CLEANUP_DRY_RUN=true to only report.
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { runCleanup } = require('../lib/cleanup');
+const { createLogger, redact } = require('../lib/logger');
+
+const DRY_RUN = process.env.CLEANUP_DRY_RUN === 'true';
+
+exports.handler = async () => {
+  const log = createLogger('cleanup-expired');
+
+  try {
+    const pool = await getPool();
+    const summary = await runCleanup(pool, { dryRun: DRY_RUN, log });
+
+    log.info('Cleanup finished', { summary });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(redact(summary)),
+    };
+  } catch (error) {
+    log.error('Cleanup failed', { error });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
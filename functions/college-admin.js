@@ -0,0 +1,598 @@
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { SUPPORTED_DOCUMENT_TYPES } = require('../lib/blobStorage');
+const { applications, colleges, departments, documentRequirements } = require('../lib/repositories');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const MAX_PAGE_SIZE = 200;
+
+// SQL Server: unique constraint (2627) / unique index (2601) violation
+const DUPLICATE_KEY_ERRORS = [2601, 2627];
+
+// College codes end up in blob paths, so keep them to a safe alphabet
+const COLLEGE_CODE_FIELD = {
+  type: 'string',
+  uppercase: true,
+  maxLength: 20,
+  pattern: /^[A-Z0-9_-]+$/,
+  patternMessage: 'may only contain letters, digits, - and _',
+};
+
+// The college code inside its students' USNs, when it differs from college_code
+const USN_CODE_FIELD = {
+  type: 'string',
+  uppercase: true,
+  maxLength: 10,
+  pattern: /^[A-Z0-9]+$/,
+  patternMessage: 'may only contain letters and digits',
+};
+
+const LIST_COLLEGES_SCHEMA = {
+  fields: {
+    search: { type: 'string', maxLength: 100, default: null },
+    include_inactive: { type: 'boolean', default: true },
+    page: { type: 'integer', min: 1, default: 1 },
+    page_size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 50 },
+  },
+};
+
+const CREATE_COLLEGE_SCHEMA = {
+  fields: {
+    college_name: { type: 'string', required: true, maxLength: 200 },
+    college_code: { ...COLLEGE_CODE_FIELD, required: true },
+    usn_code: { ...USN_CODE_FIELD, default: null },
+    place: { type: 'string', maxLength: 100, default: null },
+  },
+};
+
+const UPDATE_COLLEGE_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', required: true, min: 1 },
+    college_name: { type: 'string', maxLength: 200 },
+    college_code: COLLEGE_CODE_FIELD,
+    usn_code: USN_CODE_FIELD,
+    place: { type: 'string', maxLength: 100 },
+  },
+};
+
+// Optional columns update_college can empty by sending null
+const CLEARABLE_COLLEGE_FIELDS = ['usn_code', 'place'];
+
+const SET_COLLEGE_ACTIVE_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', required: true, min: 1 },
+    is_active: { type: 'boolean', required: true },
+  },
+};
+
+const COLLEGE_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+const ADD_DEPARTMENT_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', required: true, min: 1 },
+    department_name: { type: 'string', required: true, maxLength: 100 },
+  },
+};
+
+const UPDATE_DEPARTMENT_SCHEMA = {
+  fields: {
+    department_id: { type: 'integer', required: true, min: 1 },
+    department_name: { type: 'string', maxLength: 100 },
+    is_active: { type: 'boolean' },
+  },
+};
+
+const BLOB_NAME_FIELD = {
+  type: 'string',
+  lowercase: true,
+  maxLength: 50,
+  pattern: /^[a-z0-9_]+$/,
+  patternMessage: 'may only contain lowercase letters, digits and _',
+};
+
+const ALLOWED_TYPES_FIELD = {
+  type: 'array',
+  items: { type: 'enum', values: SUPPORTED_DOCUMENT_TYPES },
+  unique: true,
+  minItems: 1,
+};
+
+const MAX_BYTES_FIELD = { type: 'integer', min: 1024, max: 20 * 1024 * 1024 };
+
+const LIST_DOCUMENT_REQUIREMENTS_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', min: 1, default: null },
+  },
+};
+
+const ADD_DOCUMENT_REQUIREMENT_SCHEMA = {
+  fields: {
+    document_type: {
+      type: 'string',
+      required: true,
+      uppercase: true,
+      maxLength: 50,
+      pattern: /^[A-Z0-9_]+$/,
+      patternMessage: 'may only contain letters, digits and _',
+    },
+    blob_name: { ...BLOB_NAME_FIELD, required: true },
+    label: { type: 'string', required: true, maxLength: 200 },
+    is_required: { type: 'boolean', default: true },
+    allowed_types: { ...ALLOWED_TYPES_FIELD, default: SUPPORTED_DOCUMENT_TYPES },
+    max_bytes: { ...MAX_BYTES_FIELD, default: 5 * 1024 * 1024 },
+    sort_order: { type: 'integer', min: 0, default: 0 },
+    // Set either or both to override the general requirement of this type
+    college_id: { type: 'integer', min: 1, default: null },
+    season: { type: 'string', maxLength: 20, default: null },
+  },
+};
+
+const UPDATE_DOCUMENT_REQUIREMENT_SCHEMA = {
+  fields: {
+    requirement_id: { type: 'integer', required: true, min: 1 },
+    blob_name: BLOB_NAME_FIELD,
+    label: { type: 'string', maxLength: 200 },
+    is_required: { type: 'boolean' },
+    allowed_types: ALLOWED_TYPES_FIELD,
+    max_bytes: MAX_BYTES_FIELD,
+    sort_order: { type: 'integer', min: 0 },
+    is_active: { type: 'boolean' },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT; college administration is an organiser task
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, 'ORGANISER');
+
+  return {
+    organiser_id: decoded.organiser_id,
+  };
+};
+
+const isDuplicateKey = (error) => DUPLICATE_KEY_ERRORS.includes(error.number);
+
+const notFound = (what) => ({
+  statusCode: 404,
+  headers,
+  body: JSON.stringify({ error: `${what} not found` }),
+});
+
+// ============================================================================
+// ACTION: list_colleges (inactive ones included by default)
+// ============================================================================
+const listColleges = async (pool, body) => {
+  const { value, fields } = validate(LIST_COLLEGES_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { search, include_inactive, page, page_size } = value;
+  const { rows, total } = await colleges.list(pool, {
+    search,
+    active_only: !include_inactive,
+    offset: (page - 1) * page_size,
+    limit: page_size,
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      colleges: rows,
+      page,
+      page_size,
+      total,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: create_college
+// ============================================================================
+const createCollege = async (pool, body) => {
+  const { value, fields } = validate(CREATE_COLLEGE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  try {
+    const college = await colleges.create(pool, value);
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({ message: 'College created', college }),
+    };
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return fieldErrorResponse(headers, { college_code: 'is already used by another college' });
+    }
+    throw error;
+  }
+};
+
+// ============================================================================
+// ACTION: update_college (name, codes, place)
+// ============================================================================
+const updateCollege = async (pool, body) => {
+  const { value, fields } = validate(UPDATE_COLLEGE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // validate() drops nulls like missing keys, so clearing is read from the
+  // body: an explicit null empties usn_code or place, a missing key keeps it
+  const cleared = CLEARABLE_COLLEGE_FIELDS.filter((field) => body[field] === null);
+  const { college_id, ...changes } = value;
+  for (const field of cleared) changes[field] = null;
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No college fields to update' }),
+    };
+  }
+
+  const existing = await colleges.findById(pool, college_id);
+  if (!existing) {
+    return notFound('College');
+  }
+
+  // Applications and their blob folders are keyed by college_code, so a
+  // code can only change before anyone has applied under it
+  if (changes.college_code && changes.college_code !== existing.college_code) {
+    const inUse = await applications.countForCollege(pool, existing.college_code);
+    if (inUse > 0) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `College code ${existing.college_code} is used by ${inUse} application(s) and cannot be changed`,
+        }),
+      };
+    }
+  }
+
+  try {
+    const college = await colleges.update(pool, college_id, changes);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'College updated', college }),
+    };
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return fieldErrorResponse(headers, { college_code: 'is already used by another college' });
+    }
+    throw error;
+  }
+};
+
+// ============================================================================
+// ACTION: set_college_active (inactive colleges drop out of registration)
+// ============================================================================
+const setCollegeActive = async (pool, body) => {
+  const { value, fields } = validate(SET_COLLEGE_ACTIVE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const college = await colleges.setActive(pool, value.college_id, value.is_active);
+  if (!college) {
+    return notFound('College');
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: college.is_active ? 'College activated' : 'College deactivated',
+      college,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: list_departments (inactive ones included)
+// ============================================================================
+const listDepartments = async (pool, body) => {
+  const { value, fields } = validate(COLLEGE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  if (!(await colleges.findById(pool, value.college_id))) {
+    return notFound('College');
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      college_id: value.college_id,
+      departments: await departments.listForCollege(pool, value.college_id),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: add_department
+// ============================================================================
+const addDepartment = async (pool, body) => {
+  const { value, fields } = validate(ADD_DEPARTMENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  if (!(await colleges.findById(pool, value.college_id))) {
+    return notFound('College');
+  }
+
+  try {
+    const department = await departments.create(pool, value);
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({ message: 'Department added', department }),
+    };
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return fieldErrorResponse(headers, { department_name: 'already exists for this college' });
+    }
+    throw error;
+  }
+};
+
+// ============================================================================
+// ACTION: update_department (rename and/or toggle is_active)
+// ============================================================================
+const updateDepartment = async (pool, body) => {
+  const { value, fields } = validate(UPDATE_DEPARTMENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { department_id, department_name = null, is_active = null } = value;
+
+  if (department_name === null && is_active === null) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No department fields to update' }),
+    };
+  }
+
+  try {
+    const department = await departments.update(pool, department_id, { department_name, is_active });
+    if (!department) {
+      return notFound('Department');
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'Department updated', department }),
+    };
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return fieldErrorResponse(headers, { department_name: 'already exists for this college' });
+    }
+    throw error;
+  }
+};
+
+// ============================================================================
+// HELPER: Is a blob name already used by a different document type? Two
+// types sharing an upload slot would overwrite each other's files.
+// ============================================================================
+const blobNameTakenBy = async (pool, blob_name, document_type) => {
+  const rows = await documentRequirements.list(pool);
+  const clash = rows.find((row) => row.blob_name === blob_name && row.document_type !== document_type);
+  return clash ? clash.document_type : null;
+};
+
+// ============================================================================
+// ACTION: list_document_requirements (general rows, plus overrides for
+// college_id if given, else every override)
+// ============================================================================
+const listDocumentRequirements = async (pool, body) => {
+  const { value, fields } = validate(LIST_DOCUMENT_REQUIREMENTS_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      document_requirements: await documentRequirements.list(pool, { college_id: value.college_id }),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: add_document_requirement (a new document, or an override of one
+// for a college and/or season)
+// ============================================================================
+const addDocumentRequirement = async (pool, body) => {
+  const { value, fields } = validate(ADD_DOCUMENT_REQUIREMENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  if (value.college_id && !(await colleges.findById(pool, value.college_id))) {
+    return notFound('College');
+  }
+
+  const takenBy = await blobNameTakenBy(pool, value.blob_name, value.document_type);
+  if (takenBy) {
+    return fieldErrorResponse(headers, { blob_name: `is already used by ${takenBy}` });
+  }
+
+  try {
+    const requirement = await documentRequirements.create(pool, value);
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({ message: 'Document requirement added', document_requirement: requirement }),
+    };
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return fieldErrorResponse(headers, {
+        document_type: 'already has a requirement for this college and season',
+      });
+    }
+    throw error;
+  }
+};
+
+// ============================================================================
+// ACTION: update_document_requirement (is_active false retires it, or,
+// for an override, removes the document for that college / season)
+// ============================================================================
+const updateDocumentRequirement = async (pool, body) => {
+  const { value, fields } = validate(UPDATE_DOCUMENT_REQUIREMENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { requirement_id, ...patch } = value;
+
+  if (Object.keys(patch).length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No document requirement fields to update' }),
+    };
+  }
+
+  const existing = await documentRequirements.findById(pool, requirement_id);
+  if (!existing) {
+    return notFound('Document requirement');
+  }
+
+  if (patch.blob_name) {
+    const takenBy = await blobNameTakenBy(pool, patch.blob_name, existing.document_type);
+    if (takenBy) {
+      return fieldErrorResponse(headers, { blob_name: `is already used by ${takenBy}` });
+    }
+  }
+
+  const requirement = await documentRequirements.update(pool, requirement_id, {
+    blob_name: null,
+    label: null,
+    is_required: null,
+    allowed_types: null,
+    max_bytes: null,
+    sort_order: null,
+    is_active: null,
+    ...patch,
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Document requirement updated', document_requirement: requirement }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('college-admin', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'list_colleges') {
+      return await listColleges(pool, body);
+    } else if (action === 'create_college') {
+      return await createCollege(pool, body);
+    } else if (action === 'update_college') {
+      return await updateCollege(pool, body);
+    } else if (action === 'set_college_active') {
+      return await setCollegeActive(pool, body);
+    } else if (action === 'list_departments') {
+      return await listDepartments(pool, body);
+    } else if (action === 'add_department') {
+      return await addDepartment(pool, body);
+    } else if (action === 'update_department') {
+      return await updateDepartment(pool, body);
+    } else if (action === 'list_document_requirements') {
+      return await listDocumentRequirements(pool, body);
+    } else if (action === 'add_document_requirement') {
+      return await addDocumentRequirement(pool, body);
+    } else if (action === 'update_document_requirement') {
+      return await updateDocumentRequirement(pool, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -1,31 +1,99 @@
 // college-and-usn.js
-const sql = require('mssql');
-
-console.log('Environment check:', {
-  hasUser: !!process.env.DB_USER,
-  hasPassword: !!process.env.DB_PASSWORD,
-  hasServer: !!process.env.DB_SERVER,
-  hasDatabase: !!process.env.DB_NAME,
-  serverValue: process.env.DB_SERVER
-});
-
-const dbConfig = {
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  server: process.env.DB_SERVER,
-  database: process.env.DB_NAME,
-  options: {
-    encrypt: true,
-    trustServerCertificate: false,
+const { getPool } = require('../dbConfig');
+const { colleges, departments, students } = require('../lib/repositories');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+const { normalizeUsn, parseUsn, matchesCollege } = require('../lib/usn');
+const { getClientIp, consume, tooManyRequestsResponse } = require('../lib/rateLimit');
+
+const MAX_PAGE_SIZE = 100;
+
+const GET_COLLEGES_SCHEMA = {
+  fields: {
+    search: { type: 'string', maxLength: 100, default: null },
+    page: { type: 'integer', min: 1, default: 1 },
+    page_size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 50 },
   },
-  pool: {
-    max: 10,
-    min: 0,
-    idleTimeoutMillis: 30000,
+};
+
+const GET_DEPARTMENTS_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+const CHECK_USN_SCHEMA = {
+  fields: {
+    usn: { type: 'string', required: true, uppercase: true, maxLength: 50 },
+    // The college picked in the registration dropdown, if any
+    college_id: { type: 'integer', min: 1, default: null },
   },
 };
 
+// ============================================================================
+// HELPER: Decode a USN and check it against the selected college. Every
+// problem found is listed in `reasons` so the form can explain it. Roster
+// membership is deliberately not reported: this lookup is unauthenticated,
+// so it is only checked (and refused) at registration.
+// ============================================================================
+const describeUsn = async (pool, usn, college_id) => {
+  const decoded = parseUsn(usn);
+  const reasons = [];
+
+  const exists = await students.usnExists(pool, usn);
+  if (exists) {
+    reasons.push('USN is already registered');
+  }
+
+  if (!decoded) {
+    reasons.push(`${usn} does not match any known USN format (e.g. 1RV21CS001)`);
+  }
+
+  let college = null;
+  let college_match = null;
+
+  if (college_id) {
+    college = await colleges.findActiveById(pool, college_id);
+
+    if (!college) {
+      reasons.push('Selected college was not found or is not active');
+    } else if (decoded) {
+      college_match = matchesCollege(decoded, college);
+      if (!college_match) {
+        reasons.push(
+          `USN belongs to college code ${decoded.college_code}, but ${college.college_name} ` +
+          `uses ${college.usn_code || college.college_code} - check the college you selected`
+        );
+      }
+    }
+  }
+
+  return {
+    usn,
+    exists,
+    valid_format: decoded !== null,
+    format: decoded ? decoded.format : null,
+    decoded: decoded
+      ? {
+        college_code: decoded.college_code,
+        admission_year: decoded.admission_year,
+        branch_code: decoded.branch_code,
+        branch_name: decoded.branch_name,
+        roll_no: decoded.roll_no,
+      }
+      : null,
+    college: college
+      ? { college_id: college.college_id, college_name: college.college_name, college_code: college.college_code }
+      : null,
+    college_match,
+    reasons,
+  };
+};
+
 exports.handler = async (event) => {
+  const log = createLogger('college-and-usn', event);
+
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type',
@@ -37,123 +105,107 @@ exports.handler = async (event) => {
     return { statusCode: 200, headers, body: '' };
   }
 
-  let pool;
-
   try {
-    pool = await sql.connect(dbConfig);
+    const pool = await getPool();
 
-    // ===== GET: Fetch all colleges =====
+    // ===== GET: Registration dropdowns =====
     if (event.httpMethod === 'GET') {
-      const action = event.queryStringParameters?.action;
+      const query = event.queryStringParameters || {};
+
+      // Active colleges, searchable by name, code or place, one page at a time
+      if (query.action === 'get_colleges') {
+        const { value, fields } = validate(GET_COLLEGES_SCHEMA, query);
+        if (fields) {
+          return fieldErrorResponse(headers, fields);
+        }
+
+        const { search, page, page_size } = value;
+        const { rows, total } = await colleges.list(pool, {
+          search,
+          active_only: true,
+          offset: (page - 1) * page_size,
+          limit: page_size,
+        });
 
-      if (action !== 'get_colleges') {
         return {
-          statusCode: 400,
+          statusCode: 200,
           headers,
-          body: JSON.stringify({ error: 'Invalid action parameter' }),
+          body: JSON.stringify({
+            colleges: rows.map(({ is_active: _active, ...college }) => college),
+            page,
+            page_size,
+            total,
+          }),
         };
       }
 
-      const result = await pool.request().query(`
-        SELECT college_id, college_name, college_code, place
-        FROM colleges
-        WHERE is_active = 1
-        ORDER BY college_name ASC
-      `);
-
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({ colleges: result.recordset }),
-      };
-    }
-
-    // ===== POST: Handle actions =====
-    
+      // Active departments of one active college
+      if (query.action === 'get_departments') {
+        const { value, fields } = validate(GET_DEPARTMENTS_SCHEMA, query);
+        if (fields) {
+          return fieldErrorResponse(headers, fields);
+        }
 
-    console.log("RAW BODY:", event.body);
-    if (event.httpMethod === 'POST') {
+        if (!(await colleges.findActiveById(pool, value.college_id))) {
+          return errorResponse(headers, new AppError('NOT_FOUND', 'College not found'));
+        }
 
-      if (!event.body) {
         return {
-          statusCode: 400,
+          statusCode: 200,
           headers,
-          body: JSON.stringify({ error: "Missing request body" }),
+          body: JSON.stringify({
+            departments: await departments.listActiveForCollege(pool, value.college_id),
+          }),
         };
       }
 
+      return errorResponse(headers, new AppError('INVALID_ACTION', 'Invalid action parameter'));
+    }
+
+    // ===== POST: Handle actions =====
+    if (event.httpMethod === 'POST') {
+      if (!event.body) {
+        return errorResponse(headers, new AppError('MISSING_BODY'));
+      }
+
       let body;
       try {
         body = JSON.parse(event.body);
-      } catch (e) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: "Invalid JSON" }),
-        };
+      } catch {
+        return errorResponse(headers, new AppError('INVALID_JSON'));
       }
-      console.log("PARSED:", body);
-
-      const { action, usn } = body;
 
+      const { action } = body;
 
       // ACTION: check_usn
       if (action === 'check_usn') {
-        if (!usn || typeof usn !== 'string' || !usn.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'USN is required' }),
-          };
+        // Unauthenticated lookup: throttle per IP so it cannot be used to enumerate USNs
+        const limit = await consume(pool, 'check_usn', { ip: getClientIp(event) });
+        if (limit.limited) {
+          return tooManyRequestsResponse(headers, limit.retry_after, 'Too many USN checks, please try again later');
         }
 
-        const normalizedUSN = usn.trim().toUpperCase();
-
-        const result = await pool
-          .request()
-          .input('usn', sql.VarChar(50), normalizedUSN)
-          .query(`
-            SELECT student_id
-            FROM students
-            WHERE usn = @usn
-          `);
+        const { value, fields } = validate(CHECK_USN_SCHEMA, body);
+        if (fields) {
+          return fieldErrorResponse(headers, fields);
+        }
 
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ exists: result.recordset.length > 0 }),
+          body: JSON.stringify(await describeUsn(pool, normalizeUsn(value.usn), value.college_id)),
         };
       }
 
-
-
-      // Invalid action
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Invalid action' }),
-      };
+      return errorResponse(headers, new AppError('INVALID_ACTION'));
     }
 
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return errorResponse(headers, new AppError('METHOD_NOT_ALLOWED'));
   } catch (error) {
-    console.error('Error in college-and-usn:', error);
-
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: 'An error occurred processing your request',
-        details: error.message
-      }),
-    };
-  } finally {
-    if (pool) {
-      await pool.close();
+    if (!(error instanceof AppError)) {
+      log.error('Request failed', { method: event.httpMethod, error });
     }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
   }
 };
\ No newline at end of file
@@ -0,0 +1,504 @@
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+const { getPool, withTransaction } = require('../dbConfig');
+const { signToken, verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { recordStatusChange, getHistory } = require('../lib/applicationHistory');
+const { blobPathFromUrl, getBlobFingerprint } = require('../lib/blobStorage');
+const { applications, documents, reviewers } = require('../lib/repositories');
+const { queueApplicationEmail, sendQueuedNow } = require('../lib/notifications');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const MAX_REASON_LENGTH = 1000;
+
+const APPLICATION_ID_FIELD = { type: 'integer', required: true, min: 1 };
+
+const LOGIN_SCHEMA = {
+  fields: {
+    email: { type: 'string', required: true, lowercase: true, maxLength: 255 },
+    password: { type: 'string', required: true, trim: false },
+  },
+};
+
+const APPLICATION_SCHEMA = {
+  fields: {
+    application_id: APPLICATION_ID_FIELD,
+  },
+};
+
+const APPROVE_SCHEMA = {
+  fields: {
+    application_id: APPLICATION_ID_FIELD,
+    remarks: { type: 'string', maxLength: MAX_REASON_LENGTH },
+  },
+};
+
+const REJECT_SCHEMA = {
+  fields: {
+    application_id: APPLICATION_ID_FIELD,
+    reason: { type: 'string', required: true, maxLength: MAX_REASON_LENGTH },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT and extract reviewer info
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, 'REVIEWER');
+
+  return {
+    reviewer_id: decoded.reviewer_id,
+    college_id: decoded.college_id,
+    college_code: decoded.college_code,
+  };
+};
+
+// ============================================================================
+// HELPER: Explain why a status transition did not apply
+// ============================================================================
+const transitionFailed = async (pool, auth, application_id, expected) => {
+  const app = await applications.findStatusForCollege(pool, application_id, auth.college_code);
+
+  if (!app) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Application not found' }),
+    };
+  }
+
+  if (app.status === 'UNDER_REVIEW' && app.reviewed_by !== auth.reviewer_id) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Application is claimed by another reviewer' }),
+    };
+  }
+
+  return {
+    statusCode: 409,
+    headers,
+    body: JSON.stringify({
+      error: `Application must be ${expected}, but is currently ${app.status}`,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: login
+// ============================================================================
+const login = async (pool, body) => {
+  const { value, fields } = validate(LOGIN_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { email, password } = value;
+
+  const reviewer = await reviewers.findCredentialsByEmail(pool, email);
+  const passwordOk = reviewer ? await bcrypt.compare(password, reviewer.password_hash) : false;
+
+  if (!passwordOk) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Invalid email or password' }),
+    };
+  }
+
+  const token = signToken({
+    role: 'REVIEWER',
+    reviewer_id: reviewer.reviewer_id,
+    college_id: reviewer.college_id,
+    college_code: reviewer.college_code,
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      token,
+      reviewer: {
+        reviewer_id: reviewer.reviewer_id,
+        full_name: reviewer.full_name,
+        college_code: reviewer.college_code,
+      },
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: list_pending
+// ============================================================================
+const listPending = async (pool, auth) => {
+  const pending = await applications.listPendingForCollege(pool, auth.college_code);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      applications: pending.map((app) => ({
+        ...app,
+        claimed_by_me: app.reviewed_by === auth.reviewer_id,
+      })),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: get_application
+// ============================================================================
+const getApplication = async (pool, auth, body) => {
+  const { value, fields } = validate(APPLICATION_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id } = value;
+
+  const application = await applications.findDetailForCollege(pool, application_id, auth.college_code);
+
+  if (!application) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Application not found' }),
+    };
+  }
+
+  // Every attempt's documents; bare URLs stay server-side (see document-access)
+  const allDocuments = await documents.listByApplication(pool, application_id);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      application,
+      documents: allDocuments.map(({ document_url: _url, ...doc }) => doc),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: compare_attempts
+// Lines up each document type across attempts and flags which ones the
+// student actually replaced after the last rejection.
+// ============================================================================
+const compareAttempts = async (pool, auth, body) => {
+  const { value, fields } = validate(APPLICATION_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id } = value;
+
+  const app = await applications.findStatusForCollege(pool, application_id, auth.college_code);
+
+  if (!app) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Application not found' }),
+    };
+  }
+
+  const allDocuments = await documents.listByApplication(pool, application_id);
+
+  const byType = {};
+  for (const doc of allDocuments) {
+    const fingerprint = await getBlobFingerprint(blobPathFromUrl(doc.document_url));
+    (byType[doc.document_type] = byType[doc.document_type] || []).push({
+      attempt_no: doc.attempt_no,
+      uploaded_at: doc.uploaded_at,
+      size: fingerprint ? fingerprint.size : null,
+      content_md5: fingerprint ? fingerprint.content_md5 : null,
+      missing: !fingerprint,
+    });
+  }
+
+  const comparison = Object.entries(byType).map(([document_type, versions]) => {
+    const latest = versions[versions.length - 1];
+    const previous = versions.length > 1 ? versions[versions.length - 2] : null;
+
+    return {
+      document_type,
+      versions,
+      changed_since_previous: previous
+        ? latest.content_md5 !== previous.content_md5 || latest.size !== previous.size
+        : null,
+    };
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ application_id, documents: comparison }),
+  };
+};
+
+// ============================================================================
+// ACTION: claim_application (SUBMITTED -> UNDER_REVIEW)
+// ============================================================================
+const claimApplication = async (pool, auth, body) => {
+  const { value, fields } = validate(APPLICATION_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id } = value;
+
+  // Conditional update so two reviewers can't claim the same application
+  const claimed = await withTransaction(pool, async (transaction) => {
+    const from_status = await applications.claimForReview(transaction, {
+      application_id,
+      college_code: auth.college_code,
+      reviewer_id: auth.reviewer_id,
+    });
+
+    if (!from_status) return false;
+
+    await recordStatusChange(transaction, {
+      application_id,
+      from_status,
+      to_status: 'UNDER_REVIEW',
+      actor_role: 'REVIEWER',
+      actor_id: auth.reviewer_id,
+    });
+    return true;
+  });
+
+  if (!claimed) {
+    return await transitionFailed(pool, auth, application_id, 'SUBMITTED');
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Application claimed for review',
+      application_id,
+      status: 'UNDER_REVIEW',
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: approve_application (UNDER_REVIEW -> APPROVED)
+// ============================================================================
+const approveApplication = async (pool, auth, body) => {
+  const { value, fields } = validate(APPROVE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // remarks is an optional note for the audit trail
+  const { application_id, remarks } = value;
+
+  const decided = await withTransaction(pool, async (transaction) => {
+    const from_status = await applications.recordReviewDecision(transaction, {
+      application_id,
+      college_code: auth.college_code,
+      reviewer_id: auth.reviewer_id,
+      status: 'APPROVED',
+    });
+
+    if (!from_status) return false;
+
+    await recordStatusChange(transaction, {
+      application_id,
+      from_status,
+      to_status: 'APPROVED',
+      actor_role: 'REVIEWER',
+      actor_id: auth.reviewer_id,
+      reason: remarks,
+    });
+
+    return { notification_id: await queueApplicationEmail(transaction, 'application_approved', application_id) };
+  });
+
+  if (!decided) {
+    return await transitionFailed(pool, auth, application_id, 'UNDER_REVIEW and claimed by you');
+  }
+
+  await sendQueuedNow(pool, [decided.notification_id]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Application approved',
+      application_id,
+      status: 'APPROVED',
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: reject_application (UNDER_REVIEW -> REJECTED)
+// ============================================================================
+const rejectApplication = async (pool, auth, body) => {
+  const { value, fields } = validate(REJECT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id, reason } = value;
+
+  const decided = await withTransaction(pool, async (transaction) => {
+    const from_status = await applications.recordReviewDecision(transaction, {
+      application_id,
+      college_code: auth.college_code,
+      reviewer_id: auth.reviewer_id,
+      status: 'REJECTED',
+      rejected_reason: reason,
+    });
+
+    if (!from_status) return false;
+
+    await recordStatusChange(transaction, {
+      application_id,
+      from_status,
+      to_status: 'REJECTED',
+      actor_role: 'REVIEWER',
+      actor_id: auth.reviewer_id,
+      reason,
+    });
+
+    return { notification_id: await queueApplicationEmail(transaction, 'application_rejected', application_id) };
+  });
+
+  if (!decided) {
+    return await transitionFailed(pool, auth, application_id, 'UNDER_REVIEW and claimed by you');
+  }
+
+  await sendQueuedNow(pool, [decided.notification_id]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Application rejected',
+      application_id,
+      status: 'REJECTED',
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: get_application_history
+// ============================================================================
+const getApplicationHistory = async (pool, auth, body) => {
+  const { value, fields } = validate(APPLICATION_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id } = value;
+
+  const owned = await applications.findStatusForCollege(pool, application_id, auth.college_code);
+
+  if (!owned) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Application not found' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      application_id,
+      history: await getHistory(pool, application_id),
+    }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('college-reviewer', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    // login is the only unauthenticated action
+    if (action === 'login') {
+      return await login(await getPool(), body);
+    }
+
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'list_pending') {
+      return await listPending(pool, auth);
+    } else if (action === 'get_application') {
+      return await getApplication(pool, auth, body);
+    } else if (action === 'compare_attempts') {
+      return await compareAttempts(pool, auth, body);
+    } else if (action === 'claim_application') {
+      return await claimApplication(pool, auth, body);
+    } else if (action === 'approve_application') {
+      return await approveApplication(pool, auth, body);
+    } else if (action === 'reject_application') {
+      return await rejectApplication(pool, auth, body);
+    } else if (action === 'get_application_history') {
+      return await getApplicationHistory(pool, auth, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -0,0 +1,190 @@
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { blobPathFromUrl, generateSASUrl } = require('../lib/blobStorage');
+const { applications, documents: documentsRepo } = require('../lib/repositories');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+const { getClientIp } = require('../lib/rateLimit');
+
+const LINK_TTL_MINUTES = parseInt(process.env.DOCUMENT_LINK_TTL_MINUTES || '5');
+
+const DOCUMENT_LINKS_SCHEMA = {
+  fields: {
+    application_id: { type: 'integer', required: true, min: 1 },
+    attempt_no: { type: 'integer', min: 1 },
+    all_attempts: { type: 'boolean', default: false },
+    // A single document of any attempt, e.g. from a link in a report export
+    document_id: { type: 'integer', min: 1 },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT; students see their own documents, reviewers their
+// college's, organisers everything
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, ['STUDENT', 'REVIEWER', 'ORGANISER']);
+
+  const actorIds = {
+    STUDENT: decoded.student_id,
+    REVIEWER: decoded.reviewer_id,
+    ORGANISER: decoded.organiser_id,
+  };
+
+  return {
+    role: decoded.role,
+    actor_id: actorIds[decoded.role],
+    student_id: decoded.student_id,
+    college_code: decoded.college_code,
+  };
+};
+
+// ============================================================================
+// HELPER: Can this caller see this application's documents?
+// ============================================================================
+const canAccess = (auth, application) => {
+  if (auth.role === 'ORGANISER') return true;
+  if (auth.role === 'REVIEWER') return application.college_code === auth.college_code;
+  return application.student_id === auth.student_id;
+};
+
+// ============================================================================
+// ACTION: get_document_links
+// ============================================================================
+const getDocumentLinks = async (pool, auth, body, event) => {
+  const { value, fields } = validate(DOCUMENT_LINKS_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_id } = value;
+
+  const application = await applications.findById(pool, application_id);
+
+  // Same 404 for "doesn't exist" and "not yours" so ids can't be probed
+  if (!application || !canAccess(auth, application)) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Application not found' }),
+    };
+  }
+
+  // Current attempt by default; `attempt_no` picks an earlier one and
+  // `all_attempts` returns every version for side-by-side comparison
+  const attempt_no = value.all_attempts || value.document_id
+    ? null
+    : value.attempt_no || application.attempt_no || 1;
+
+  const rows = (await documentsRepo.listByApplication(pool, application_id, attempt_no))
+    .filter((doc) => !value.document_id || doc.document_id === value.document_id);
+
+  if (value.document_id && rows.length === 0) {
+    return errorResponse(headers, new AppError('NOT_FOUND', 'Document not found'));
+  }
+
+  const expires_at = new Date(Date.now() + LINK_TTL_MINUTES * 60 * 1000);
+  const documents = [];
+
+  for (const doc of rows) {
+    // Read only, and only for a few minutes
+    const url = await generateSASUrl(blobPathFromUrl(doc.document_url), 'r', expires_at);
+
+    documents.push({
+      document_id: doc.document_id,
+      document_type: doc.document_type,
+      attempt_no: doc.attempt_no,
+      uploaded_at: doc.uploaded_at,
+      url,
+    });
+  }
+
+  await documentsRepo.logAccess(
+    pool,
+    documents.map(({ document_id }) => ({ application_id, document_id })),
+    { actor_role: auth.role, actor_id: auth.actor_id, client_ip: getClientIp(event) }
+  );
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      application_id,
+      current_attempt: application.attempt_no,
+      documents,
+      expires_at: expires_at.toISOString(),
+    }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('document-access', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'get_document_links') {
+      return await getDocumentLinks(pool, auth, body, event);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -0,0 +1,322 @@
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { events } = require('../lib/repositories');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const MAX_TEAM_SIZE = 50;
+
+const EVENT_FIELDS = {
+  event_name: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000, default: null },
+  participation_type: { type: 'enum', values: ['SOLO', 'GROUP'], uppercase: true, required: true },
+  min_team_size: { type: 'integer', min: 1, max: MAX_TEAM_SIZE, default: 1 },
+  max_team_size: { type: 'integer', min: 1, max: MAX_TEAM_SIZE, default: 1 },
+  // Entries per college; leave empty for no limit
+  slots_per_college: { type: 'integer', min: 1, default: null },
+  venue: { type: 'string', maxLength: 200, default: null },
+  starts_at: { type: 'datetime', required: true },
+  ends_at: { type: 'datetime', required: true },
+  registration_closes_at: { type: 'datetime', default: null },
+};
+
+const EVENT_SCHEMA = {
+  fields: EVENT_FIELDS,
+  checks: [
+    {
+      fields: ['starts_at', 'ends_at'],
+      field: 'ends_at',
+      check: ({ starts_at, ends_at }) => (ends_at > starts_at ? null : 'must be after starts_at'),
+    },
+    {
+      fields: ['min_team_size', 'max_team_size'],
+      field: 'max_team_size',
+      check: ({ min_team_size, max_team_size }) => (
+        max_team_size >= min_team_size ? null : 'must be at least min_team_size'
+      ),
+    },
+    {
+      fields: ['participation_type', 'max_team_size'],
+      field: 'max_team_size',
+      check: ({ participation_type, max_team_size }) => (
+        participation_type === 'SOLO' && max_team_size !== 1 ? 'must be 1 for a solo event' : null
+      ),
+    },
+    {
+      fields: ['registration_closes_at', 'ends_at'],
+      field: 'registration_closes_at',
+      check: ({ registration_closes_at, ends_at }) => (
+        registration_closes_at && registration_closes_at > ends_at ? 'must not be after ends_at' : null
+      ),
+    },
+  ],
+};
+
+const EVENT_ID_SCHEMA = {
+  fields: {
+    event_id: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+const SET_EVENT_ACTIVE_SCHEMA = {
+  fields: {
+    event_id: { type: 'integer', required: true, min: 1 },
+    is_active: { type: 'boolean', required: true },
+  },
+};
+
+const LIST_REGISTRATIONS_SCHEMA = {
+  fields: {
+    event_id: { type: 'integer', min: 1, default: null },
+    // Organisers only; reviewers always see their own college
+    college_id: { type: 'integer', min: 1, default: null },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// Which roles may call each action
+const ACTION_ROLES = {
+  list_events: ['ORGANISER', 'REVIEWER'],
+  create_event: ['ORGANISER'],
+  update_event: ['ORGANISER'],
+  set_event_active: ['ORGANISER'],
+  list_registrations: ['ORGANISER', 'REVIEWER'],
+};
+
+// ============================================================================
+// HELPER: Verify JWT; organisers run the catalogue, reviewers see their
+// college's entries
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, ['ORGANISER', 'REVIEWER']);
+
+  return {
+    role: decoded.role,
+    college_id: decoded.college_id,
+  };
+};
+
+const notFound = () => ({
+  statusCode: 404,
+  headers,
+  body: JSON.stringify({ error: 'Event not found' }),
+});
+
+// An event row as validate() input, so a patch can be merged into it
+const toEventInput = (fest) => {
+  const input = {};
+  for (const name of Object.keys(EVENT_FIELDS)) {
+    input[name] = fest[name] instanceof Date ? fest[name].toISOString() : fest[name];
+  }
+  return input;
+};
+
+// ============================================================================
+// ACTION: list_events (inactive ones included for organisers)
+// ============================================================================
+const listEvents = async (pool, auth) => {
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      events: await events.list(pool, { active_only: auth.role !== 'ORGANISER' }),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: create_event
+// ============================================================================
+const createEvent = async (pool, body) => {
+  const { value, fields } = validate(EVENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const fest = await events.create(pool, value);
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({ message: 'Event created', event: fest }),
+  };
+};
+
+// ============================================================================
+// ACTION: update_event (fields left out keep their value; null clears an
+// optional field)
+// ============================================================================
+const updateEvent = async (pool, body) => {
+  const { value: target, fields: idFields } = validate(EVENT_ID_SCHEMA, body);
+  if (idFields) {
+    return fieldErrorResponse(headers, idFields);
+  }
+
+  const existing = await events.findById(pool, target.event_id);
+  if (!existing) {
+    return notFound();
+  }
+
+  const patch = {};
+  for (const name of Object.keys(EVENT_FIELDS)) {
+    if (body[name] !== undefined) patch[name] = body[name];
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No event fields to update' }),
+    };
+  }
+
+  // Validate the event as it will be, so cross-field rules still hold
+  const { value, fields } = validate(EVENT_SCHEMA, { ...toEventInput(existing), ...patch });
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // Existing entries are kept even if the new limits would not allow them
+  const fest = await events.update(pool, existing.event_id, value);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Event updated', event: fest }),
+  };
+};
+
+// ============================================================================
+// ACTION: set_event_active (inactive events drop out of the student
+// catalogue; their entries are kept)
+// ============================================================================
+const setEventActive = async (pool, body) => {
+  const { value, fields } = validate(SET_EVENT_ACTIVE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const fest = await events.setActive(pool, value.event_id, value.is_active);
+  if (!fest) {
+    return notFound();
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: fest.is_active ? 'Event activated' : 'Event deactivated',
+      event: fest,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: list_registrations (who is in which event, by college)
+// ============================================================================
+const listRegistrations = async (pool, auth, body) => {
+  const { value, fields } = validate(LIST_REGISTRATIONS_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const college_id = auth.role === 'REVIEWER' ? auth.college_id : value.college_id;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      registrations: await events.listRegistrations(pool, { event_id: value.event_id, college_id }),
+    }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('event-admin', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  if (!ACTION_ROLES[action]) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid action' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+
+    if (!ACTION_ROLES[action].includes(auth.role)) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: `${action} is not available to ${auth.role}` }),
+      };
+    }
+
+    const pool = await getPool();
+
+    if (action === 'list_events') {
+      return await listEvents(pool, auth);
+    } else if (action === 'create_event') {
+      return await createEvent(pool, body);
+    } else if (action === 'update_event') {
+      return await updateEvent(pool, body);
+    } else if (action === 'set_event_active') {
+      return await setEventActive(pool, body);
+    } else {
+      return await listRegistrations(pool, auth, body);
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
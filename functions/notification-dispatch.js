@@ -0,0 +1,32 @@
+// Scheduled (see netlify.toml): sends queued emails from notification_outbox
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { createLogger } = require('../lib/logger');
+const { dispatchPending } = require('../lib/notifications');
+
+const BATCH_SIZE = parseInt(process.env.NOTIFICATION_BATCH_SIZE || '100');
+
+exports.handler = async () => {
+  const log = createLogger('notification-dispatch');
+
+  try {
+    const pool = await getPool();
+    const summary = await dispatchPending(pool, { limit: BATCH_SIZE });
+
+    if (summary.sent || summary.retrying || summary.failed) {
+      log.info('Dispatch finished', { summary });
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary),
+    };
+  } catch (error) {
+    log.error('Dispatch failed', { error });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' }),
+    };
+  }
+};
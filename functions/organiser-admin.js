@@ -0,0 +1,406 @@
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+const { getPool, withTransaction } = require('../dbConfig');
+const { signToken, verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { recordStatusChange } = require('../lib/applicationHistory');
+const { applications, colleges, organisers, policies } = require('../lib/repositories');
+const { queueApplicationEmail } = require('../lib/notifications');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const MAX_BULK_SIZE = 200;
+const MAX_PAGE_SIZE = 200;
+const MAX_REASON_LENGTH = 1000;
+
+const APPLICATION_IDS_FIELD = {
+  type: 'array',
+  required: true,
+  items: { type: 'integer', min: 1 },
+  unique: true,
+  minItems: 1,
+  maxItems: MAX_BULK_SIZE,
+};
+
+const LOGIN_SCHEMA = {
+  fields: {
+    email: { type: 'string', required: true, lowercase: true, maxLength: 255 },
+    password: { type: 'string', required: true, trim: false },
+  },
+};
+
+const LIST_APPROVED_SCHEMA = {
+  fields: {
+    page: { type: 'integer', min: 1, default: 1 },
+    page_size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 50 },
+    college_code: { type: 'string', maxLength: 20, default: null },
+  },
+};
+
+const FINAL_APPROVE_SCHEMA = {
+  fields: {
+    application_ids: APPLICATION_IDS_FIELD,
+  },
+};
+
+const SEND_BACK_SCHEMA = {
+  fields: {
+    application_ids: APPLICATION_IDS_FIELD,
+    reason: { type: 'string', required: true, maxLength: MAX_REASON_LENGTH },
+  },
+};
+
+// Fields left out keep their current value; null clears one (on a college
+// row that means "as the general policy", on the general row "no limit" for
+// the dates and the built-in default otherwise)
+const POLICY_FIELDS = {
+  opens_at: { type: 'datetime', default: null },
+  closes_at: { type: 'datetime', default: null },
+  max_reapplications: { type: 'integer', min: 0, max: 10, default: null },
+  session_minutes: { type: 'integer', min: 5, max: 240, default: null },
+};
+
+const POLICY_SCHEMA = {
+  fields: POLICY_FIELDS,
+  checks: [
+    {
+      fields: ['opens_at', 'closes_at'],
+      field: 'closes_at',
+      check: ({ opens_at, closes_at }) => (
+        opens_at && closes_at && closes_at <= opens_at ? 'must be after opens_at' : null
+      ),
+    },
+  ],
+};
+
+const POLICY_TARGET_SCHEMA = {
+  fields: {
+    // Leave empty for the general policy
+    college_id: { type: 'integer', min: 1, default: null },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT and extract organiser info
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, 'ORGANISER');
+
+  return {
+    organiser_id: decoded.organiser_id,
+  };
+};
+
+// ============================================================================
+// HELPER: Report ids that a bulk transition skipped, with their current status
+// ============================================================================
+const describeSkipped = async (pool, ids, updatedIds) => {
+  const skippedIds = ids.filter((id) => !updatedIds.includes(id));
+  if (skippedIds.length === 0) return [];
+
+  const rows = await applications.findStatuses(pool, skippedIds);
+  const statusById = new Map(rows.map((row) => [row.application_id, row.status]));
+
+  return skippedIds.map((id) => ({
+    application_id: id,
+    reason: statusById.has(id)
+      ? `Only APPROVED applications can be processed (current status: ${statusById.get(id)})`
+      : 'Application not found',
+  }));
+};
+
+// ============================================================================
+// ACTION: login
+// ============================================================================
+const login = async (pool, body) => {
+  const { value, fields } = validate(LOGIN_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { email, password } = value;
+
+  const organiser = await organisers.findCredentialsByEmail(pool, email);
+  const passwordOk = organiser ? await bcrypt.compare(password, organiser.password_hash) : false;
+
+  if (!passwordOk) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Invalid email or password' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      token: signToken({ role: 'ORGANISER', organiser_id: organiser.organiser_id }),
+      organiser: {
+        organiser_id: organiser.organiser_id,
+        full_name: organiser.full_name,
+      },
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: list_approved (college-approved, awaiting final sign-off)
+// ============================================================================
+const listApproved = async (pool, body) => {
+  const { value, fields } = validate(LIST_APPROVED_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { page, page_size, college_code } = value;
+
+  const { rows, total } = await applications.listByStatus(pool, {
+    status: 'APPROVED',
+    college_code,
+    offset: (page - 1) * page_size,
+    limit: page_size,
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      applications: rows,
+      page,
+      page_size,
+      total,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: final_approve (APPROVED -> FINAL_APPROVED, bulk)
+// ============================================================================
+const finalApprove = async (pool, auth, body) => {
+  const { value, fields } = validate(FINAL_APPROVE_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_ids: ids } = value;
+
+  // Only rows still APPROVED are promoted; everything else is reported back
+  const promoted = await withTransaction(pool, async (transaction) => {
+    const rows = await applications.finalApprove(transaction, ids, auth.organiser_id);
+
+    for (const row of rows) {
+      await recordStatusChange(transaction, {
+        application_id: row.application_id,
+        from_status: row.from_status,
+        to_status: 'FINAL_APPROVED',
+        actor_role: 'ORGANISER',
+        actor_id: auth.organiser_id,
+      });
+      // A bulk run can queue hundreds of emails, so they are left to
+      // notification-dispatch instead of being sent inline
+      await queueApplicationEmail(transaction, 'application_final_approved', row.application_id);
+    }
+
+    return rows.map((row) => row.application_id);
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      promoted,
+      skipped: await describeSkipped(pool, ids, promoted),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: send_back (APPROVED -> UNDER_REVIEW with the original reviewer)
+// ============================================================================
+const sendBack = async (pool, auth, body) => {
+  const { value, fields } = validate(SEND_BACK_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { application_ids: ids, reason } = value;
+
+  // reviewed_by is kept so the application lands back in that reviewer's queue
+  const sent_back = await withTransaction(pool, async (transaction) => {
+    const rows = await applications.sendBackToReviewer(transaction, ids, reason);
+
+    for (const row of rows) {
+      await recordStatusChange(transaction, {
+        application_id: row.application_id,
+        from_status: row.from_status,
+        to_status: 'UNDER_REVIEW',
+        actor_role: 'ORGANISER',
+        actor_id: auth.organiser_id,
+        reason,
+      });
+    }
+
+    return rows.map((row) => row.application_id);
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      sent_back,
+      skipped: await describeSkipped(pool, ids, sent_back),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: get_application_policies (the general policy and every college
+// override)
+// ============================================================================
+const getApplicationPolicies = async (pool) => {
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ policies: await policies.list(pool) }),
+  };
+};
+
+// ============================================================================
+// ACTION: set_application_policy (general, or one college's override)
+// ============================================================================
+const setApplicationPolicy = async (pool, auth, body) => {
+  const { value: target, fields: targetFields } = validate(POLICY_TARGET_SCHEMA, body);
+  if (targetFields) {
+    return fieldErrorResponse(headers, targetFields);
+  }
+
+  const { college_id } = target;
+
+  if (college_id !== null && !(await colleges.findById(pool, college_id))) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'College not found' }),
+    };
+  }
+
+  const patch = {};
+  for (const name of Object.keys(POLICY_FIELDS)) {
+    if (body[name] !== undefined) patch[name] = body[name];
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No policy fields to update' }),
+    };
+  }
+
+  const current = await policies.findForCollege(pool, college_id);
+  const existing = college_id === null ? current.general : current.college;
+
+  // Validate the row as it will be, so the dates are checked together
+  const merged = {};
+  for (const name of Object.keys(POLICY_FIELDS)) {
+    const stored = existing ? existing[name] : null;
+    merged[name] = stored instanceof Date ? stored.toISOString() : stored;
+  }
+
+  const { value, fields } = validate(POLICY_SCHEMA, { ...merged, ...patch });
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const policy = await policies.upsert(pool, college_id, value, auth.organiser_id);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Application policy saved', policy }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('organiser-admin', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    // login is the only unauthenticated action
+    if (action === 'login') {
+      return await login(await getPool(), body);
+    }
+
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'list_approved') {
+      return await listApproved(pool, body);
+    } else if (action === 'final_approve') {
+      return await finalApprove(pool, auth, body);
+    } else if (action === 'send_back') {
+      return await sendBack(pool, auth, body);
+    } else if (action === 'get_application_policies') {
+      return await getApplicationPolicies(pool);
+    } else if (action === 'set_application_policy') {
+      return await setApplicationPolicy(pool, auth, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -0,0 +1,289 @@
+require('dotenv').config();
+const { getPool } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { blobPathFromUrl, downloadBlob, sniffContentType } = require('../lib/blobStorage');
+const { generatePassCode, signPass, verifyPassToken, renderPassPdf } = require('../lib/passes');
+const { applications, documents, passes } = require('../lib/repositories');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+const PHOTO_DOCUMENT_TYPE = 'PHOTO';
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+const VERIFY_PASS_SCHEMA = {
+  fields: {
+    qr: { type: 'string', required: true, maxLength: 200 },
+    // Which entrance scanned it, for the check-in log
+    gate: { type: 'string', maxLength: 50, default: null },
+  },
+};
+
+const REVOKE_PASS_SCHEMA = {
+  fields: {
+    application_id: { type: 'integer', required: true, min: 1 },
+    reason: { type: 'string', required: true, maxLength: 500 },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// Which role may call each action
+const ACTION_ROLES = {
+  get_pass: 'STUDENT',
+  verify_pass: 'ORGANISER',
+  revoke_pass: 'ORGANISER',
+};
+
+// ============================================================================
+// HELPER: Verify JWT; students download their own pass, organisers run
+// the gate
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, ['STUDENT', 'ORGANISER']);
+
+  return {
+    role: decoded.role,
+    student_id: decoded.student_id,
+    organiser_id: decoded.organiser_id,
+  };
+};
+
+// ============================================================================
+// HELPER: The student's photo for the pass, if one was uploaded as an
+// image; PDFs and missing blobs fall back to an empty photo box
+// ============================================================================
+const loadPhoto = async (pool, application_id) => {
+  const rows = await documents.listCurrentForApplications(pool, [application_id]);
+  const photo = rows.find((doc) => doc.document_type === PHOTO_DOCUMENT_TYPE);
+  if (!photo) return null;
+
+  const buffer = await downloadBlob(blobPathFromUrl(photo.document_url), MAX_PHOTO_BYTES);
+  if (!buffer) return null;
+
+  return ['image/jpeg', 'image/png'].includes(sniffContentType(buffer)) ? buffer : null;
+};
+
+// ============================================================================
+// ACTION: get_pass (PDF, issued on first download)
+// ============================================================================
+const getPass = async (pool, auth) => {
+  const latest = await applications.findLatestByStudent(pool, auth.student_id);
+
+  if (!latest || latest.status !== 'FINAL_APPROVED') {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'A pass is only available once your application has final approval' }),
+    };
+  }
+
+  const holder = await passes.findByApplication(pool, latest.application_id);
+
+  if (holder.revoked_at) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({
+        error: 'Your pass has been revoked. Please contact the organisers.',
+        reason: holder.revoked_reason,
+      }),
+    };
+  }
+
+  const pass = holder.pass_id
+    ? holder
+    : await passes.issue(pool, latest.application_id, generatePassCode());
+
+  const token = signPass(latest.application_id, pass.pass_code);
+  const photo = await loadPhoto(pool, latest.application_id);
+  const pdf = await renderPassPdf({ ...holder, issued_at: pass.issued_at }, token, photo);
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="pass-${holder.usn}.pdf"`,
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+    },
+    body: pdf.toString('base64'),
+    isBase64Encoded: true,
+  };
+};
+
+// ============================================================================
+// ACTION: verify_pass (gate scan). Genuine passes are logged as check-ins,
+// accepted or not; the pass only admits while the application is
+// FINAL_APPROVED and the pass is not revoked.
+// ============================================================================
+const verifyPass = async (pool, auth, body, log) => {
+  const { value, fields } = validate(VERIFY_PASS_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const scanned = verifyPassToken(value.qr);
+  if (!scanned) {
+    log.warn('Pass with an invalid signature scanned', { organiser_id: auth.organiser_id, gate: value.gate });
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ valid: false, reason: 'Pass is not genuine' }),
+    };
+  }
+
+  const holder = await passes.findByApplication(pool, scanned.application_id);
+
+  if (!holder || holder.pass_code !== scanned.pass_code) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ valid: false, reason: 'Pass is not recognised' }),
+    };
+  }
+
+  let reason = null;
+  if (holder.revoked_at) {
+    reason = `Pass was revoked: ${holder.revoked_reason}`;
+  } else if (holder.status !== 'FINAL_APPROVED') {
+    reason = `Application is ${holder.status}, not FINAL_APPROVED`;
+  }
+
+  const checkin = await passes.recordCheckin(pool, {
+    pass_id: holder.pass_id,
+    organiser_id: auth.organiser_id,
+    gate: value.gate,
+    accepted: reason === null,
+    reason,
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      valid: reason === null,
+      reason,
+      checked_at: checkin.checked_at,
+      // Earlier accepted scans, so re-entry is visible at the gate
+      previous_checkins: holder.checkin_count,
+      last_checked_in_at: holder.last_checked_in_at,
+      participant: {
+        application_id: holder.application_id,
+        full_name: holder.full_name,
+        usn: holder.usn,
+        college_name: holder.college_name,
+        department: holder.department,
+      },
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: revoke_pass
+// ============================================================================
+const revokePass = async (pool, auth, body) => {
+  const { value, fields } = validate(REVOKE_PASS_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const revoked = await passes.revoke(pool, value.application_id, auth.organiser_id, value.reason);
+
+  if (!revoked) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'No active pass for this application' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Pass revoked', pass: revoked }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('participant-pass', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  if (!ACTION_ROLES[action]) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid action' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+
+    if (auth.role !== ACTION_ROLES[action]) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: `${action} is not available to ${auth.role}` }),
+      };
+    }
+
+    const pool = await getPool();
+
+    if (action === 'get_pass') {
+      return await getPass(pool, auth);
+    } else if (action === 'verify_pass') {
+      return await verifyPass(pool, auth, body, log);
+    } else {
+      return await revokePass(pool, auth, body);
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
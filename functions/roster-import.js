@@ -0,0 +1,385 @@
+const ExcelJS = require('exceljs');
+require('dotenv').config();
+const { getPool, withTransaction } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { parseCsv } = require('../lib/csv');
+const { USN_FORMAT_MESSAGE, normalizeUsn, isValidUsn } = require('../lib/usn');
+const { colleges, departments, roster } = require('../lib/repositories');
+const { EMAIL_PATTERN, validate, fieldErrorResponse } = require('../lib/validation');
+
+const MAX_ROSTER_ROWS = 5000;
+const MAX_CONTENT_LENGTH = 4 * 1024 * 1024; // stays under the function payload limit
+
+// Accepted header spellings for each roster column
+const COLUMN_ALIASES = {
+  usn: ['usn'],
+  full_name: ['name', 'full name', 'student name'],
+  email: ['email', 'email id', 'e-mail'],
+  department: ['department', 'dept', 'branch'],
+};
+const REQUIRED_COLUMNS = ['usn', 'full_name'];
+
+const IMPORT_SCHEMA = {
+  fields: {
+    college_id: { type: 'integer', min: 1 },
+    format: { type: 'enum', values: ['csv', 'xlsx'], required: true },
+    // CSV text, or the base64-encoded workbook for xlsx
+    content: { type: 'string', required: true, trim: false, maxLength: MAX_CONTENT_LENGTH },
+    dry_run: { type: 'boolean', default: true },
+  },
+};
+
+const ROW_SCHEMA = {
+  fields: {
+    usn: { type: 'string', required: true, uppercase: true, maxLength: 50 },
+    full_name: { type: 'string', required: true, maxLength: 150 },
+    email: {
+      type: 'string',
+      lowercase: true,
+      maxLength: 255,
+      pattern: EMAIL_PATTERN,
+      patternMessage: 'must be a valid email address',
+      default: null,
+    },
+    department: { type: 'string', maxLength: 100, default: null },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT; reviewers import for their own college, organisers
+// for any college
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, ['REVIEWER', 'ORGANISER']);
+
+  return {
+    role: decoded.role,
+    actor_id: decoded.role === 'REVIEWER' ? decoded.reviewer_id : decoded.organiser_id,
+    college_id: decoded.college_id,
+  };
+};
+
+// ============================================================================
+// HELPER: Read the uploaded file into rows of strings
+// ============================================================================
+const readRows = async (format, content) => {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(content, 'base64'));
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let i = 1; i <= row.cellCount; i++) {
+      // .text flattens rich text, hyperlinks and formula results
+      cells.push(row.getCell(i).text);
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+// ============================================================================
+// HELPER: Map header cells to roster columns; returns { columns } or { error }
+// ============================================================================
+const mapColumns = (headerRow) => {
+  const columns = {};
+
+  headerRow.forEach((cell, index) => {
+    const label = String(cell).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+    const column = Object.keys(COLUMN_ALIASES).find((key) => COLUMN_ALIASES[key].includes(label));
+    if (column && columns[column] === undefined) columns[column] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((column) => columns[column] === undefined);
+  if (missing.length > 0) {
+    return { error: `Roster is missing required column(s): ${missing.join(', ')}` };
+  }
+
+  return { columns };
+};
+
+// ============================================================================
+// HELPER: Validate every row and classify it against the existing roster.
+// Row numbers are 1-based and count the header, matching the spreadsheet.
+// ============================================================================
+const buildReport = async (pool, college, dataRows, columns) => {
+  const offered = await departments.listActiveForCollege(pool, college.college_id);
+  const departmentByName = new Map(offered.map((row) => [row.department_name.toLowerCase(), row.department_name]));
+
+  const entries = [];
+  const errors = [];
+  const firstRowByUsn = new Map();
+
+  dataRows.forEach((cells, index) => {
+    const row = index + 2;
+    const input = {};
+    for (const [column, cellIndex] of Object.entries(columns)) {
+      input[column] = cells[cellIndex];
+    }
+
+    const { value, fields } = validate(ROW_SCHEMA, input);
+    const rowErrors = { ...fields };
+    if (value.usn) value.usn = normalizeUsn(value.usn);
+
+    if (value.department && offered.length > 0) {
+      const match = departmentByName.get(value.department.toLowerCase());
+      if (match) {
+        value.department = match;
+      } else {
+        rowErrors.department = 'is not a department of this college';
+      }
+    }
+
+    if (value.usn && !isValidUsn(value.usn)) {
+      rowErrors.usn = USN_FORMAT_MESSAGE;
+    } else if (value.usn) {
+      if (firstRowByUsn.has(value.usn)) {
+        rowErrors.usn = `appears more than once in the file (first on row ${firstRowByUsn.get(value.usn)})`;
+      } else {
+        firstRowByUsn.set(value.usn, row);
+      }
+    }
+
+    if (Object.keys(rowErrors).length > 0) {
+      errors.push({ row, usn: value.usn || input.usn || null, fields: rowErrors });
+    } else {
+      entries.push({ row, ...value });
+    }
+  });
+
+  // USNs already rostered: same college means update, another college is a conflict
+  const existing = await roster.findByUsns(pool, entries.map((entry) => entry.usn));
+  const existingByUsn = new Map(existing.map((row) => [row.usn, row]));
+
+  let toInsert = 0;
+  let toUpdate = 0;
+  const valid = [];
+
+  for (const entry of entries) {
+    const current = existingByUsn.get(entry.usn);
+
+    if (current && current.college_id !== college.college_id) {
+      errors.push({
+        row: entry.row,
+        usn: entry.usn,
+        fields: { usn: `is already on the roster of college ${current.college_code}` },
+      });
+      continue;
+    }
+
+    if (current) {
+      toUpdate++;
+    } else {
+      toInsert++;
+    }
+    valid.push(entry);
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return {
+    valid,
+    report: {
+      college_id: college.college_id,
+      college_code: college.college_code,
+      summary: {
+        total_rows: dataRows.length,
+        valid: valid.length,
+        invalid: errors.length,
+        new: toInsert,
+        updated: toUpdate,
+      },
+      errors,
+    },
+  };
+};
+
+// ============================================================================
+// ACTION: import_roster (dry run unless dry_run is false)
+// ============================================================================
+const importRoster = async (pool, auth, body) => {
+  const { value, fields } = validate(IMPORT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // Reviewers can only ever touch their own college's roster
+  const college_id = auth.role === 'REVIEWER' ? auth.college_id : value.college_id;
+  if (!college_id) {
+    return fieldErrorResponse(headers, { college_id: 'is required' });
+  }
+
+  const college = await colleges.findById(pool, college_id);
+  if (!college) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'College not found' }),
+    };
+  }
+
+  let rows;
+  try {
+    rows = await readRows(value.format, value.content);
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Could not read the ${value.format.toUpperCase()} file: ${error.message}` }),
+    };
+  }
+
+  if (rows.length < 2) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Roster has no student rows' }),
+    };
+  }
+
+  if (rows.length - 1 > MAX_ROSTER_ROWS) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Roster can have at most ${MAX_ROSTER_ROWS} rows per import` }),
+    };
+  }
+
+  const { columns, error } = mapColumns(rows[0]);
+  if (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error }),
+    };
+  }
+
+  const { valid, report } = await buildReport(pool, college, rows.slice(1), columns);
+
+  if (value.dry_run) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ dry_run: true, ...report }),
+    };
+  }
+
+  // Nothing is written unless the whole file is clean
+  if (report.errors.length > 0) {
+    return {
+      statusCode: 422,
+      headers,
+      body: JSON.stringify({
+        error: 'Roster has errors; fix them and import again',
+        dry_run: false,
+        ...report,
+      }),
+    };
+  }
+
+  const result = await withTransaction(pool, async (transaction) => {
+    return roster.upsertMany(
+      transaction,
+      college.college_id,
+      valid.map(({ usn, full_name, email, department }) => ({ usn, full_name, email, department })),
+      { role: auth.role, id: auth.actor_id }
+    );
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Roster imported',
+      dry_run: false,
+      college_id: report.college_id,
+      college_code: report.college_code,
+      summary: {
+        total_rows: report.summary.total_rows,
+        new: result.inserted,
+        updated: result.updated,
+      },
+      // Rostered at another college between the check and the write
+      skipped: result.skipped,
+    }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('roster-import', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'import_roster') {
+      return await importRoster(pool, auth, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
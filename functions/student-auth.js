@@ -0,0 +1,367 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+require('dotenv').config();
+const { getPool, withTransaction } = require('../dbConfig');
+const { colleges, passwordResets, roster, students } = require('../lib/repositories');
+const { signToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { sendMail } = require('../lib/mailer');
+const { EMAIL_PATTERN, validate, fieldErrorResponse } = require('../lib/validation');
+const { normalizeUsn } = require('../lib/usn');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+const RESET_TOKEN_TTL_MINUTES = 30;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:8888';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json',
+};
+
+const EMAIL_FIELD = {
+  type: 'string',
+  required: true,
+  lowercase: true,
+  maxLength: 255,
+  pattern: EMAIL_PATTERN,
+  patternMessage: 'must be a valid email address',
+};
+
+const NEW_PASSWORD_FIELD = {
+  type: 'string',
+  required: true,
+  trim: false,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: MAX_PASSWORD_LENGTH,
+};
+
+const REGISTER_SCHEMA = {
+  fields: {
+    usn: { type: 'string', required: true, uppercase: true, maxLength: 50 },
+    college_id: { type: 'integer', required: true, min: 1 },
+    full_name: { type: 'string', required: true, maxLength: 150 },
+    email: EMAIL_FIELD,
+    password: NEW_PASSWORD_FIELD,
+  },
+};
+
+const LOGIN_SCHEMA = {
+  fields: {
+    usn: { type: 'string', required: true, uppercase: true, maxLength: 50 },
+    password: { type: 'string', required: true, trim: false },
+  },
+};
+
+const REQUEST_RESET_SCHEMA = {
+  fields: {
+    email: EMAIL_FIELD,
+  },
+};
+
+const CONFIRM_RESET_SCHEMA = {
+  fields: {
+    token: { type: 'string', required: true, maxLength: 128 },
+    password: NEW_PASSWORD_FIELD,
+  },
+};
+
+// ============================================================================
+// HELPER: Issue the token student-submit-application expects
+// ============================================================================
+const issueStudentToken = (student) => {
+  return signToken({
+    role: 'STUDENT',
+    student_id: student.student_id,
+    usn: student.usn,
+    college_id: student.college_id,
+  });
+};
+
+// ============================================================================
+// HELPER: Reset tokens are only ever stored as a SHA-256 hash
+// ============================================================================
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// ============================================================================
+// ACTION: register
+// ============================================================================
+const register = async (pool, body) => {
+  const { value, fields } = validate(REGISTER_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { email: normalizedEmail, password } = value;
+  const normalizedUSN = normalizeUsn(value.usn);
+
+  // College must exist and be open for registration
+  const college = await colleges.findActiveById(pool, value.college_id);
+
+  if (!college) {
+    return fieldErrorResponse(headers, { college_id: 'is not an active college' });
+  }
+
+  // Only students on the college's imported roster may sign up
+  const rostered = await roster.findByUsn(pool, normalizedUSN);
+
+  if (!rostered || rostered.college_id !== college.college_id) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({
+        error: 'This USN is not on the roster of the selected college',
+        fields: { usn: 'is not on the roster of the selected college' },
+      }),
+    };
+  }
+
+  // Same lookup as college-and-usn's check_usn, plus email uniqueness
+  const existing = await students.findByUsnOrEmail(pool, normalizedUSN, normalizedEmail);
+
+  if (existing.length > 0) {
+    const usnTaken = existing.some((row) => row.usn === normalizedUSN);
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        error: usnTaken ? 'USN is already registered' : 'Email is already registered',
+      }),
+    };
+  }
+
+  const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  const student = await students.create(pool, {
+    usn: normalizedUSN,
+    college_id: college.college_id,
+    full_name: value.full_name,
+    email: normalizedEmail,
+    password_hash,
+  });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      message: 'Registration successful',
+      token: issueStudentToken(student),
+      student: {
+        student_id: student.student_id,
+        usn: student.usn,
+        college_id: student.college_id,
+      },
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: login
+// ============================================================================
+const login = async (pool, body) => {
+  const { value, fields } = validate(LOGIN_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { usn, password } = value;
+  const student = await students.findCredentialsByUsn(pool, normalizeUsn(usn));
+
+  // Same response for unknown USN and wrong password
+  const passwordOk = student && student.password_hash
+    ? await bcrypt.compare(password, student.password_hash)
+    : false;
+
+  if (!passwordOk) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Invalid USN or password' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      token: issueStudentToken(student),
+      student: {
+        student_id: student.student_id,
+        usn: student.usn,
+        college_id: student.college_id,
+        full_name: student.full_name,
+      },
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: request_password_reset
+// ============================================================================
+const requestPasswordReset = async (pool, body) => {
+  const { value, fields } = validate(REQUEST_RESET_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // Identical response whether or not the email is registered
+  const genericResponse = {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'If that email is registered, a reset link has been sent.',
+    }),
+  };
+
+  const student = await students.findByEmail(pool, value.email);
+
+  if (!student) {
+    return genericResponse;
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires_at = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  // Only the newest link is valid
+  await passwordResets.invalidateForStudent(pool, student.student_id);
+  await passwordResets.create(pool, {
+    student_id: student.student_id,
+    token_hash: hashResetToken(token),
+    expires_at,
+  });
+
+  const resetUrl = `${APP_BASE_URL}/reset?token=${token}`;
+
+  await sendMail({
+    to: student.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${student.full_name || ''},`.trim(),
+      '',
+      `Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email.',
+    ].join('\n'),
+    html: `
+      <p>Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.</p>
+      <p><a href="${resetUrl}">Reset password</a></p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `,
+  });
+
+  return genericResponse;
+};
+
+// ============================================================================
+// ACTION: confirm_password_reset
+// ============================================================================
+const confirmPasswordReset = async (pool, body) => {
+  const { value, fields } = validate(CONFIRM_RESET_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const { token, password } = value;
+
+  // Hashed up front so the transaction below holds its locks only briefly
+  const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  // The token is spent only if the new password is stored with it
+  const updated = await withTransaction(pool, async (transaction) => {
+    const student_id = await passwordResets.consume(transaction, hashResetToken(token));
+    if (student_id === null) return false;
+
+    await students.updatePassword(transaction, student_id, password_hash);
+    return true;
+  });
+
+  if (!updated) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Reset link is invalid or has expired' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Password updated. You can now log in.' }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('student-auth', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    // Shared pool from dbConfig.js - not closed between invocations
+    const pool = await getPool();
+
+    if (action === 'register') {
+      return await register(pool, body);
+    } else if (action === 'login') {
+      return await login(pool, body);
+    } else if (action === 'request_password_reset') {
+      return await requestPasswordReset(pool, body);
+    } else if (action === 'confirm_password_reset') {
+      return await confirmPasswordReset(pool, body);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
@@ -0,0 +1,355 @@
+require('dotenv').config();
+const { getPool, withTransaction } = require('../dbConfig');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { EVENT_ELIGIBLE_STATUSES, canRegisterForEvents } = require('../lib/applicationRules');
+const { applications, events } = require('../lib/repositories');
+const { USN_FORMAT_MESSAGE, normalizeUsn, isValidUsn } = require('../lib/usn');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+// SQL Server: unique constraint (2627) / unique index (2601) violation
+const DUPLICATE_KEY_ERRORS = [2601, 2627];
+
+const EVENT_SCHEMA = {
+  fields: {
+    event_id: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+const REGISTER_SCHEMA = {
+  fields: {
+    event_id: { type: 'integer', required: true, min: 1 },
+    team_name: { type: 'string', maxLength: 100, default: null },
+    // Team mates, not counting the lead (the caller)
+    member_usns: {
+      type: 'array',
+      items: { type: 'string', uppercase: true, maxLength: 50 },
+      unique: true,
+      maxItems: 49,
+      default: [],
+    },
+  },
+};
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json',
+};
+
+// ============================================================================
+// HELPER: Verify JWT and extract student info
+// ============================================================================
+const verifyAuth = (event) => {
+  const decoded = verifyToken(event, 'STUDENT');
+
+  return {
+    student_id: decoded.student_id,
+    usn: decoded.usn,
+    college_id: decoded.college_id,
+  };
+};
+
+// Registration closes at registration_closes_at, or when the event starts
+const isRegistrationOpen = (fest) => new Date() < (fest.registration_closes_at || fest.starts_at);
+
+const NOT_ELIGIBLE_MESSAGE =
+  `Only students whose application is ${EVENT_ELIGIBLE_STATUSES.join(' or ')} can register for events`;
+
+// ============================================================================
+// ACTION: list_events (catalogue with this student's registrations and
+// their college's remaining slots)
+// ============================================================================
+const listEvents = async (pool, auth) => {
+  const latest = await applications.findLatestByStudent(pool, auth.student_id);
+  const rows = await events.listForStudent(pool, auth.student_id, auth.college_id);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      eligible: latest !== null && canRegisterForEvents(latest.status),
+      events: rows.map(({ college_registrations, registration_id, is_lead, is_active: _active, ...fest }) => ({
+        ...fest,
+        slots_remaining: fest.slots_per_college === null
+          ? null
+          : Math.max(fest.slots_per_college - college_registrations, 0),
+        registration_open: isRegistrationOpen(fest),
+        registration_id,
+        is_lead: registration_id === null ? null : is_lead,
+      })),
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: register (solo, or as team lead with team mates from the same
+// college)
+// ============================================================================
+const register = async (pool, auth, body) => {
+  const { value, fields } = validate(REGISTER_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const member_usns = [...new Set(value.member_usns.map(normalizeUsn))];
+  const invalid = member_usns.filter((usn) => !isValidUsn(usn));
+  if (invalid.length > 0) {
+    return fieldErrorResponse(headers, { member_usns: `${invalid.join(', ')} ${USN_FORMAT_MESSAGE}` });
+  }
+  if (member_usns.includes(auth.usn)) {
+    return fieldErrorResponse(headers, { member_usns: 'must not include your own USN; you are the team lead' });
+  }
+
+  const refuse = (statusCode, error, extra = {}) => ({ refused: { statusCode, error, ...extra } });
+
+  let outcome;
+  try {
+    outcome = await withTransaction(pool, async (transaction) => {
+      // Locks the event so slot counts and clash checks see every earlier entry
+      const fest = await events.findById(transaction, value.event_id, { forUpdate: true });
+
+      if (!fest || !fest.is_active) {
+        return refuse(404, 'Event not found');
+      }
+      if (!isRegistrationOpen(fest)) {
+        return refuse(409, 'Registration for this event has closed');
+      }
+
+      const teamSize = member_usns.length + 1;
+      if (teamSize < fest.min_team_size || teamSize > fest.max_team_size) {
+        return refuse(400, 'One or more fields are invalid', {
+          fields: {
+            member_usns: fest.participation_type === 'SOLO'
+              ? 'must be empty for a solo event'
+              : `team must have ${fest.min_team_size} to ${fest.max_team_size} members, including you`,
+          },
+        });
+      }
+
+      const participants = await events.findParticipantsByUsns(transaction, [auth.usn, ...member_usns]);
+      const byUsn = new Map(participants.map((row) => [row.usn, row]));
+
+      const lead = byUsn.get(auth.usn);
+      if (!lead || !canRegisterForEvents(lead.application_status)) {
+        return refuse(403, NOT_ELIGIBLE_MESSAGE);
+      }
+
+      // Every team mate must be on the portal, from the lead's college, and approved
+      const problems = [];
+      for (const usn of member_usns) {
+        const member = byUsn.get(usn);
+        if (!member) {
+          problems.push(`${usn} has not registered on the portal`);
+        } else if (member.college_id !== lead.college_id) {
+          problems.push(`${usn} is from another college`);
+        } else if (!canRegisterForEvents(member.application_status)) {
+          problems.push(`${usn} does not have an approved application`);
+        }
+      }
+      if (problems.length > 0) {
+        return refuse(400, 'One or more fields are invalid', { fields: { member_usns: problems.join('; ') } });
+      }
+
+      const student_ids = [lead.student_id, ...member_usns.map((usn) => byUsn.get(usn).student_id)];
+      const usnById = new Map(participants.map((row) => [row.student_id, row.usn]));
+
+      const already = await events.findRegisteredStudents(transaction, fest.event_id, student_ids);
+      if (already.length > 0) {
+        return refuse(409, 'Already registered for this event', {
+          usns: already.map((id) => usnById.get(id)),
+        });
+      }
+
+      // Held until commit, so a concurrent registration for another event
+      // cannot slip in between this clash check and the insert
+      await events.lockStudents(transaction, student_ids);
+
+      const clashes = await events.findClashes(transaction, {
+        event_id: fest.event_id,
+        starts_at: fest.starts_at,
+        ends_at: fest.ends_at,
+        student_ids,
+      });
+      if (clashes.length > 0) {
+        return refuse(409, 'Schedule clash with another registered event', {
+          clashes: clashes.map((clash) => ({
+            usn: usnById.get(clash.student_id),
+            event_id: clash.event_id,
+            event_name: clash.event_name,
+          })),
+        });
+      }
+
+      if (fest.slots_per_college !== null) {
+        const used = await events.countForCollege(transaction, fest.event_id, lead.college_id);
+        if (used >= fest.slots_per_college) {
+          return refuse(409, `Your college has used all ${fest.slots_per_college} slot(s) for this event`);
+        }
+      }
+
+      const registration_id = await events.register(transaction, {
+        event_id: fest.event_id,
+        college_id: lead.college_id,
+        lead_student_id: lead.student_id,
+        team_name: fest.participation_type === 'GROUP' ? value.team_name : null,
+        members: student_ids.map((student_id) => ({ student_id, is_lead: student_id === lead.student_id })),
+      });
+
+      return { registration_id, event_name: fest.event_name };
+    });
+  } catch (error) {
+    // A team mate was registered by someone else between the check and the insert
+    if (DUPLICATE_KEY_ERRORS.includes(error.number)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: 'A team member was registered for this event at the same time; try again' }),
+      };
+    }
+    throw error;
+  }
+
+  if (outcome.refused) {
+    const { statusCode, ...refusal } = outcome.refused;
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify(refusal),
+    };
+  }
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      message: `Registered for ${outcome.event_name}`,
+      registration_id: outcome.registration_id,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: withdraw (the lead withdraws the whole entry)
+// ============================================================================
+const withdraw = async (pool, auth, body) => {
+  const { value, fields } = validate(EVENT_SCHEMA, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  const fest = await events.findById(pool, value.event_id);
+  if (!fest) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Event not found' }),
+    };
+  }
+
+  if (!isRegistrationOpen(fest)) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Registration for this event has closed; contact the organisers to withdraw' }),
+    };
+  }
+
+  if (!(await events.withdraw(pool, fest.event_id, auth.student_id))) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'You do not lead an entry in this event' }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: `Withdrawn from ${fest.event_name}` }),
+  };
+};
+
+// ============================================================================
+// ACTION: my_registrations (entries the student leads or is a member of)
+// ============================================================================
+const myRegistrations = async (pool, auth) => {
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      registrations: await events.listRegistrations(pool, { student_id: auth.student_id }),
+    }),
+  };
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+exports.handler = async (event) => {
+  const log = createLogger('student-events', event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid JSON body' }),
+    };
+  }
+
+  const { action } = body;
+
+  if (!action) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action is required' }),
+    };
+  }
+
+  try {
+    const auth = verifyAuth(event);
+    const pool = await getPool();
+
+    if (action === 'list_events') {
+      return await listEvents(pool, auth);
+    } else if (action === 'register') {
+      return await register(pool, auth, body);
+    } else if (action === 'withdraw') {
+      return await withdraw(pool, auth, body);
+    } else if (action === 'my_registrations') {
+      return await myRegistrations(pool, auth);
+    } else {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid action' }),
+      };
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
+    }
+
+    return errorResponse(headers, error, { request_id: log.request_id });
+  }
+};
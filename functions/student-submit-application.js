@@ -1,24 +1,67 @@
-const sql = require('mssql');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { BlobServiceClient, generateBlobSASQueryParameters, BlobSASPermissions, StorageSharedKeyCredential } = require('@azure/storage-blob');
 require('dotenv').config();
-
-const dbConfig = {
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  server: process.env.DB_SERVER,
-  database: process.env.DB_NAME,
-  options: {
-    encrypt: true,
-    trustServerCertificate: false,
+const { getPool, withTransaction } = require('../dbConfig');
+const {
+  applications,
+  departments,
+  documentRequirements,
+  documents,
+  sessions,
+  students,
+} = require('../lib/repositories');
+const { verifyToken } = require('../lib/auth');
+const { AppError, errorResponse } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+const { recordStatusChange, getHistory } = require('../lib/applicationHistory');
+const { getApplicationPolicy, getApplicationWindow, canReapply } = require('../lib/applicationRules');
+const { queueApplicationEmail, sendQueuedNow } = require('../lib/notifications');
+const { getClientIp, consume, tooManyRequestsResponse } = require('../lib/rateLimit');
+const {
+  getAttemptBasePath,
+  getSubmittedPath,
+  copyBlob,
+  generateSASUrl,
+  getBlobUrl,
+  getBlobFingerprint,
+  verifyDocumentBlob,
+} = require('../lib/blobStorage');
+
+// Picks season-specific rows in document_requirements; unset means general rows only
+const APPLICATION_SEASON = process.env.APPLICATION_SEASON || null;
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const MAX_YEAR_OF_STUDY = 5; // B.Arch runs five years
+const MAX_OPEN_SESSIONS = parseInt(process.env.MAX_OPEN_SESSIONS || '3');
+
+const SESSION_SCHEMA = {
+  fields: {
+    session_id: { type: 'string', required: true, maxLength: 64 },
   },
 };
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const AZURE_STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
-const AZURE_STORAGE_ACCOUNT_KEY = process.env.AZURE_STORAGE_ACCOUNT_KEY;
-const CONTAINER_NAME = 'student-documents';
+// The application form, as drafted by init_application / update_draft and
+// submitted by finalize_application. Lengths match the table columns.
+const APPLICATION_FORM = {
+  fields: {
+    blood_group: { type: 'enum', values: BLOOD_GROUPS, required: true, uppercase: true },
+    address: { type: 'string', required: true, maxLength: 500 },
+    department: { type: 'string', required: true, maxLength: 100 },
+    year_of_study: { type: 'integer', required: true, min: 1, max: MAX_YEAR_OF_STUDY },
+    semester: { type: 'integer', required: true, min: 1, max: MAX_YEAR_OF_STUDY * 2 },
+  },
+  checks: [
+    {
+      // Year n covers semesters 2n-1 and 2n
+      fields: ['year_of_study', 'semester'],
+      field: 'semester',
+      check: ({ year_of_study, semester }) => {
+        if (Math.ceil(semester / 2) === year_of_study) return null;
+        return `must be ${year_of_study * 2 - 1} or ${year_of_study * 2} in year ${year_of_study}`;
+      },
+    },
+  ],
+};
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -30,17 +73,7 @@ const headers = {
 // HELPER: Verify JWT and extract student info
 // ============================================================================
 const verifyAuth = (event) => {
-  const authHeader = event.headers.authorization || event.headers.Authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Missing or invalid Authorization header');
-  }
-
-  const token = authHeader.substring(7);
-  const decoded = jwt.verify(token, JWT_SECRET);
-
-  if (decoded.role !== 'STUDENT') {
-    throw new Error('Unauthorized: Student role required');
-  }
+  const decoded = verifyToken(event, 'STUDENT');
 
   return {
     student_id: decoded.student_id,
@@ -50,167 +83,216 @@ const verifyAuth = (event) => {
 };
 
 // ============================================================================
-// HELPER: Generate SAS URL for blob upload
+// HELPER: Refusals shared by init_application and finalize_application
 // ============================================================================
-const generateSASUrl = (blobPath) => {
-  const sharedKeyCredential = new StorageSharedKeyCredential(
-    AZURE_STORAGE_ACCOUNT_NAME,
-    AZURE_STORAGE_ACCOUNT_KEY
-  );
+const windowClosedResponse = (window) => errorResponse(headers, new AppError(
+  'APPLICATION_WINDOW_CLOSED',
+  window.reason,
+  { opens_at: window.opens_at, closes_at: window.closes_at }
+));
+
+const reapplyLimitResponse = (policy) => errorResponse(headers, new AppError(
+  'REAPPLY_LIMIT_REACHED',
+  `You have used all ${policy.max_reapplications} reapplication(s). Maximum reapplication limit reached.`
+));
+
+const applicationBlockedResponse = (status) => errorResponse(headers, new AppError(
+  'APPLICATION_BLOCKED',
+  `Cannot apply. Your application is currently ${status}`,
+  { application_status: status }
+));
+
+// The attempt a submission must be, given the student's latest application
+// (null or REJECTED; anything else is blocked before this is asked)
+const nextAttemptNo = (latest) => (latest ? (latest.attempt_no || 1) + 1 : 1);
 
-  const blobServiceClient = new BlobServiceClient(
-    `https://${AZURE_STORAGE_ACCOUNT_NAME}.blob.core.windows.net`,
-    sharedKeyCredential
-  );
+// ============================================================================
+// HELPER: Documents this student's college asks for this season
+// ============================================================================
+const loadDocumentRequirements = (pool, college_id) => {
+  return documentRequirements.listEffective(pool, { college_id, season: APPLICATION_SEASON });
+};
 
-  const containerClient = blobServiceClient.getContainerClient(CONTAINER_NAME);
-  const blobClient = containerClient.getBlobClient(blobPath);
+// What the upload form needs to know about each document slot
+const toUploadSlots = (requirements) => requirements.map((doc) => ({
+  blob_name: doc.blob_name,
+  document_type: doc.document_type,
+  label: doc.label,
+  is_required: doc.is_required,
+  allowed_types: doc.allowed_types,
+  max_bytes: doc.max_bytes,
+}));
 
-  const expiresOn = new Date(Date.now() + 25 * 60 * 1000); // 25 minutes
+// ============================================================================
+// HELPER: Write-only upload URLs for every document slot of an attempt
+// ============================================================================
+const generateUploadUrls = async (blobBasePath, expires_at, requirements) => {
+  const upload_urls = {};
+  for (const doc of requirements) {
+    // Write only, valid for the lifetime of the session
+    upload_urls[doc.blob_name] = await generateSASUrl(`${blobBasePath}/${doc.blob_name}`, 'w', expires_at);
+  }
+  return upload_urls;
+};
 
-  const sasToken = generateBlobSASQueryParameters(
-    {
-      containerName: CONTAINER_NAME,
-      blobName: blobPath,
-      permissions: BlobSASPermissions.parse('w'), // Write only
-      expiresOn,
-    },
-    sharedKeyCredential
-  ).toString();
+// ============================================================================
+// HELPER: Validate the application form, including that the department is
+// one the student's college offers. Colleges whose departments have not been
+// configured yet accept any department name.
+// ============================================================================
+const validateApplicationForm = async (pool, college_id, input) => {
+  const { value, fields } = validate(APPLICATION_FORM, input);
+  const errors = { ...fields };
+
+  if (value.department) {
+    const offered = await departments.listActiveForCollege(pool, college_id);
+    const match = offered.find(
+      (row) => row.department_name.toLowerCase() === value.department.toLowerCase()
+    );
+
+    if (match) {
+      value.department = match.department_name;
+    } else if (offered.length > 0) {
+      errors.department = 'is not a department of your college';
+    }
+  }
 
-  return `${blobClient.url}?${sasToken}`;
+  return {
+    value,
+    fields: Object.keys(errors).length > 0 ? errors : null,
+  };
 };
 
 // ============================================================================
-// ACTION: init_application
+// HELPER: Shape a stored session row into the draft returned to the client
 // ============================================================================
-const initApplication = async (pool, auth, body) => {
-  const { blood_group, address, department, year_of_study, semester } = body;
+const toDraft = (session) => ({
+  blood_group: session.blood_group,
+  address: session.address,
+  department: session.department,
+  year_of_study: session.year_of_study,
+  semester: session.semester,
+});
 
-  // Validate required fields
-  if (!blood_group || !address || !department || !year_of_study || !semester) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'All fields are required' }),
-    };
+// ============================================================================
+// ACTION: init_application
+// ============================================================================
+const initApplication = async (pool, auth, body, event) => {
+  const limit = await consume(pool, 'init_application', {
+    student: auth.student_id,
+    ip: getClientIp(event),
+  });
+  if (limit.limited) {
+    return tooManyRequestsResponse(headers, limit.retry_after, 'Too many application sessions started, please try again later');
   }
 
-  // Get student's college_code
-  const studentResult = await pool
-    .request()
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT c.college_code
-      FROM students s
-      INNER JOIN colleges c ON s.college_id = c.college_id
-      WHERE s.student_id = @student_id
-    `);
+  const { value: form, fields } = await validateApplicationForm(pool, auth.college_id, body);
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
 
-  if (studentResult.recordset.length === 0) {
-    return {
-      statusCode: 404,
-      headers,
-      body: JSON.stringify({ error: 'Student not found' }),
-    };
+  const policy = await getApplicationPolicy(pool, auth.college_id);
+  const window = getApplicationWindow(policy);
+  if (!window.is_open) {
+    return windowClosedResponse(window);
   }
 
-  const college_code = studentResult.recordset[0].college_code;
-
-  // Check if student has existing applications and reapply count
-  const studentInfo = await pool
-    .request()
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT 
-        s.reapply_count,
-        sa.application_id,
-        sa.status
-      FROM students s
-      LEFT JOIN student_applications sa ON s.student_id = sa.student_id
-      WHERE s.student_id = @student_id
-      ORDER BY sa.application_id DESC
-    `);
-
-  if (studentInfo.recordset.length === 0) {
-    return {
-      statusCode: 404,
-      headers,
-      body: JSON.stringify({ error: 'Student not found' }),
-    };
+  // Get student's college_code and reapply count
+  const student = await students.findWithCollege(pool, auth.student_id);
+
+  if (!student) {
+    return errorResponse(headers, new AppError('STUDENT_NOT_FOUND'));
   }
 
-  const student = studentInfo.recordset[0];
+  const college_code = student.college_code;
+
+  // Check if student has existing applications
+  const latestApp = await applications.findLatestByStudent(pool, auth.student_id);
   const reapply_count = student.reapply_count;
-  const latestStatus = student.status; // null if no application exists
+  const latestStatus = latestApp ? latestApp.status : null;
 
-  // Block if reapply_count >= 2 (already rejected twice)
-  if (reapply_count >= 2) {
-    return {
-      statusCode: 403,
-      headers,
-      body: JSON.stringify({
-        error: 'You have been rejected twice. Maximum reapplication limit reached.',
-      }),
-    };
+  // A reapplication is the next attempt of the rejected application
+  const attempt_no = latestStatus === 'REJECTED' ? (latestApp.attempt_no || 1) + 1 : 1;
+
+  // Block once the reapplication limit is used up
+  if (latestStatus === 'REJECTED' && !canReapply({ status: latestStatus, reapply_count }, policy)) {
+    return reapplyLimitResponse(policy);
   }
 
   // Block if status is SUBMITTED, UNDER_REVIEW, APPROVED, or FINAL_APPROVED
   if (latestStatus && ['SUBMITTED', 'UNDER_REVIEW', 'APPROVED', 'FINAL_APPROVED'].includes(latestStatus)) {
-    return {
-      statusCode: 403,
-      headers,
-      body: JSON.stringify({
-        error: `Cannot apply. Your application is currently ${latestStatus}`,
-      }),
-    };
+    return applicationBlockedResponse(latestStatus);
   }
 
   // Generate session_id
   const session_id = crypto.randomBytes(32).toString('hex');
-  const expires_at = new Date(Date.now() + 25 * 60 * 1000); // 25 minutes
-
-  // Create session (no application_id yet, so we'll use NULL or skip FK temporarily)
-  // NOTE: We'll store session data without application_id since we haven't created the application yet
-  await pool
-    .request()
-    .input('session_id', sql.VarChar(64), session_id)
-    .input('student_id', sql.Int, auth.student_id)
-    .input('expires_at', sql.DateTime2, expires_at)
-    .input('blood_group', sql.VarChar(5), blood_group)
-    .input('address', sql.VarChar(500), address.trim())
-    .input('department', sql.VarChar(100), department)
-    .input('year_of_study', sql.Int, parseInt(year_of_study))
-    .input('semester', sql.Int, parseInt(semester))
-    .input('college_code', sql.VarChar(20), college_code)
-    .query(`
-      INSERT INTO application_sessions (
-        session_id, student_id, application_id, expires_at
-      )
-      VALUES (@session_id, @student_id, NULL, @expires_at)
-    `);
-
-  // Store form data in a temporary session table or in-memory
-  // For simplicity, we'll store it in a separate session_data table
-  // But since that doesn't exist, we'll pass it back to frontend and they'll send it again on finalize
-  
-  // Generate SAS URLs for 3 documents
-  const blobBasePath = `${college_code}/${auth.usn}/application`;
-  
-  const upload_urls = {
-    aadhaar: generateSASUrl(`${blobBasePath}/aadhaar`),
-    college_id_card: generateSASUrl(`${blobBasePath}/college_id_card`),
-    marks_card_10th: generateSASUrl(`${blobBasePath}/marks_card_10th`),
-  };
+  // A session never outlives the application window
+  const expires_at = new Date(Math.min(
+    Date.now() + policy.session_minutes * 60 * 1000,
+    window.closes_at ? window.closes_at.getTime() : Infinity
+  ));
+
+  // Create session (no application_id yet - it is linked on finalize),
+  // unless the student already has too many open ones
+  const open = await withTransaction(pool, async (transaction) => {
+    const current = await sessions.countOpenForStudent(transaction, auth.student_id);
+    if (current.open_count >= MAX_OPEN_SESSIONS) return current;
+
+    await sessions.create(transaction, {
+      session_id,
+      student_id: auth.student_id,
+      expires_at,
+      attempt_no,
+      college_code,
+      ...form,
+    });
+    return null;
+  });
+
+  if (open) {
+    const retry_after = Math.max(Math.ceil((new Date(open.next_expiry).getTime() - Date.now()) / 1000), 1);
+    return tooManyRequestsResponse(
+      headers,
+      retry_after,
+      `You already have ${open.open_count} open application sessions. Continue one with get_draft or wait for it to expire.`,
+      'OPEN_SESSION_LIMIT_REACHED'
+    );
+  }
+
+  // The form data is kept with the session as the draft; finalize uses it
+  const blobBasePath = getAttemptBasePath(college_code, auth.usn, attempt_no);
+  const requirements = await loadDocumentRequirements(pool, auth.college_id);
+  const upload_urls = await generateUploadUrls(blobBasePath, expires_at, requirements);
 
   return {
     statusCode: 200,
     headers,
     body: JSON.stringify({
       session_id,
+      attempt_no,
       upload_urls,
+      documents: toUploadSlots(requirements),
       expires_at: expires_at.toISOString(),
-      message: 'Session created. Please upload documents within 25 minutes.',
+      message: `Session created. Please upload documents within ${Math.round((expires_at.getTime() - Date.now()) / 60000)} minutes.`,
+    }),
+  };
+};
+
+// ============================================================================
+// HELPER: Response for a session that has already been finalized, so
+// retries and double-clicks get the original application_id back
+// ============================================================================
+const findFinalizedApplication = async (pool, auth, session_id) => {
+  const application_id = await sessions.findFinalizedApplicationId(pool, session_id, auth.student_id);
+  if (!application_id) return null;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Application submitted successfully',
+      application_id,
+      replayed: true,
     }),
   };
 };
@@ -219,194 +301,287 @@ const initApplication = async (pool, auth, body) => {
 // ACTION: finalize_application
 // ============================================================================
 const finalizeApplication = async (pool, auth, body) => {
-  const { session_id, blood_group, address, department, year_of_study, semester } = body;
-
-  if (!session_id) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'session_id is required' }),
-    };
+  const { value: { session_id }, fields: sessionFields } = validate(SESSION_SCHEMA, body);
+  if (sessionFields) {
+    return fieldErrorResponse(headers, sessionFields);
   }
 
   // Validate session
-  const sessionResult = await pool
-    .request()
-    .input('session_id', sql.VarChar(64), session_id)
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT expires_at
-      FROM application_sessions
-      WHERE session_id = @session_id AND student_id = @student_id
-    `);
-
-  if (sessionResult.recordset.length === 0) {
-    return {
-      statusCode: 404,
-      headers,
-      body: JSON.stringify({ error: 'Invalid or expired session' }),
-    };
+  const session = await sessions.findForStudent(pool, session_id, auth.student_id);
+
+  if (!session) {
+    return errorResponse(headers, new AppError('SESSION_NOT_FOUND'));
+  }
+
+  // Retry of a session that was already finalized: return the original result
+  if (session.consumed_at) {
+    const replay = await findFinalizedApplication(pool, auth, session_id);
+    if (replay) return replay;
   }
 
-  const expires_at = new Date(sessionResult.recordset[0].expires_at);
+  const expires_at = new Date(session.expires_at);
+  const attempt_no = session.attempt_no || 1;
   if (Date.now() > expires_at.getTime()) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'Session expired. Please restart.' }),
-    };
+    return errorResponse(headers, new AppError('SESSION_EXPIRED'));
   }
 
-  // Validate required fields
-  if (!blood_group || !address || !department || !year_of_study || !semester) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'All fields are required' }),
-    };
+  // The window may have closed since the session was opened
+  const policy = await getApplicationPolicy(pool, auth.college_id);
+  const window = getApplicationWindow(policy);
+  if (!window.is_open) {
+    return windowClosedResponse(window);
+  }
+
+  // The stored draft is what gets submitted - form values in the request
+  // body are ignored so a client can't validate one set and submit another.
+  // It is re-validated in case the rules (e.g. departments) changed since.
+  const { college_code } = session;
+  const { value: validForm, fields } = await validateApplicationForm(pool, auth.college_id, toDraft(session));
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // A session opened before the previous attempt was submitted still
+  // carries that attempt's number; finalizing it would overwrite the
+  // attempt's submitted documents. Checked again under the lock below.
+  const current = await applications.findLatestByStudent(pool, auth.student_id);
+  if (current && current.status !== 'REJECTED') {
+    return applicationBlockedResponse(current.status);
+  }
+  if (attempt_no !== nextAttemptNo(current)) {
+    return errorResponse(headers, new AppError('SESSION_EXPIRED'));
+  }
+
+  // Verify every required document was uploaded, and that every uploaded
+  // one is of an allowed type and size for its slot. The upload links stay
+  // writable until the session expires, so each upload is first copied to
+  // its submitted path and the copy is what gets verified and recorded.
+  const blobBasePath = getAttemptBasePath(college_code, auth.usn, attempt_no);
+  const requirements = await loadDocumentRequirements(pool, auth.college_id);
+  const uploadedDocuments = [];
+  const document_errors = {};
+
+  for (const doc of requirements) {
+    const uploadPath = `${blobBasePath}/${doc.blob_name}`;
+    if ((await getBlobFingerprint(uploadPath)) === null) {
+      if (doc.is_required) document_errors[doc.blob_name] = ['Document has not been uploaded'];
+      continue;
+    }
+
+    const submittedPath = getSubmittedPath(blobBasePath, session_id, doc.blob_name);
+    await copyBlob(uploadPath, submittedPath);
+
+    const errors = await verifyDocumentBlob(submittedPath, {
+      maxBytes: doc.max_bytes,
+      allowedTypes: doc.allowed_types,
+    });
+    if (errors.length > 0) {
+      document_errors[doc.blob_name] = errors;
+    } else {
+      uploadedDocuments.push(doc);
+    }
+  }
+
+  if (Object.keys(document_errors).length > 0) {
+    return errorResponse(headers, new AppError('DOCUMENTS_INVALID', null, { document_errors }));
   }
+  
+  // Everything below commits or rolls back as one unit
+  const outcome = await withTransaction(pool, async (transaction) => {
+    // Consume the session first. A concurrent finalize with the same
+    // session_id blocks on this row and then matches nothing.
+    if (!(await sessions.claim(transaction, session_id, auth.student_id))) {
+      return { claimed: false };
+    }
+
+    // Check if this is a reapplication (latest attempt was REJECTED)
+    const latest = await applications.findLatestByStudent(transaction, auth.student_id, { forUpdate: true });
+
+    if (latest && latest.status !== 'REJECTED') {
+      // Submitted through another session in the meantime
+      return { claimed: true, blockedStatus: latest.status };
+    }
+
+    if (attempt_no !== nextAttemptNo(latest)) {
+      // Opened before the latest attempt was submitted; the claim is kept
+      // so the session cannot be tried again
+      return { claimed: true, staleAttempt: true };
+    }
 
-  // Get college_code
-  const studentResult = await pool
-    .request()
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT c.college_code
-      FROM students s
-      INNER JOIN colleges c ON s.college_id = c.college_id
-      WHERE s.student_id = @student_id
-    `);
+    const form = { ...validForm, college_code, attempt_no };
 
-  if (studentResult.recordset.length === 0) {
+    let application_id;
+    let previousStatus = null;
+
+    if (latest) {
+      // Re-checked under the lock in case the limit was lowered meanwhile
+      const { reapply_count } = await students.findWithCollege(transaction, auth.student_id);
+      if (!canReapply({ status: latest.status, reapply_count }, policy)) {
+        return { claimed: true, reapplyLimitReached: true };
+      }
+
+      // This is a REAPPLICATION - Update existing record
+      application_id = latest.application_id;
+      previousStatus = 'REJECTED';
+
+      await applications.resubmit(transaction, application_id, form);
+      await students.incrementReapplyCount(transaction, auth.student_id);
+
+      // Earlier attempts' document rows are kept so reviewers can compare them
+    } else {
+      // This is a NEW APPLICATION - Insert new record
+      application_id = await applications.create(transaction, { ...form, student_id: auth.student_id });
+    }
+
+    await recordStatusChange(transaction, {
+      application_id,
+      from_status: previousStatus,
+      to_status: 'SUBMITTED',
+      actor_role: 'STUDENT',
+      actor_id: auth.student_id,
+    });
+
+    // Insert document records
+    for (const doc of uploadedDocuments) {
+      await documents.create(transaction, {
+        application_id,
+        document_type: doc.document_type,
+        document_url: getBlobUrl(getSubmittedPath(blobBasePath, session_id, doc.blob_name)),
+        attempt_no,
+      });
+    }
+
+    // Link the consumed session to its application so retries can replay it
+    await sessions.linkApplication(transaction, session_id, application_id);
+
+    const notification_id = await queueApplicationEmail(transaction, 'application_submitted', application_id);
+
+    return { claimed: true, application_id, notification_id };
+  });
+
+  if (outcome.reapplyLimitReached) {
+    return reapplyLimitResponse(policy);
+  }
+
+  if (outcome.blockedStatus) {
+    return applicationBlockedResponse(outcome.blockedStatus);
+  }
+
+  if (outcome.staleAttempt) {
+    return errorResponse(headers, new AppError('SESSION_EXPIRED'));
+  }
+
+  if (!outcome.claimed) {
+    // Lost the race to a concurrent request with the same session_id
+    const replay = await findFinalizedApplication(pool, auth, session_id);
+    if (replay) return replay;
+
+    return errorResponse(headers, new AppError('SESSION_EXPIRED'));
+  }
+
+  await sendQueuedNow(pool, [outcome.notification_id]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Application submitted successfully',
+      application_id: outcome.application_id,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: get_draft
+// ============================================================================
+const getDraft = async (pool, auth) => {
+  const session = await sessions.findOpenForStudent(pool, auth.student_id);
+
+  if (!session) {
     return {
-      statusCode: 404,
+      statusCode: 200,
       headers,
-      body: JSON.stringify({ error: 'Student not found' }),
+      body: JSON.stringify({
+        draft: null,
+        message: 'No open application session. Start a new one with init_application.',
+      }),
     };
   }
 
-  const college_code = studentResult.recordset[0].college_code;
+  const expires_at = new Date(session.expires_at);
+  const blobBasePath = getAttemptBasePath(session.college_code, auth.usn, session.attempt_no || 1);
 
-  // Verify all 3 documents exist in Azure Blob (optional check)
-  // For now, we'll trust frontend uploaded them successfully
-  
-  // Check if this is a reapplication (status = REJECTED and reapply_count < 2)
-  const existingApp = await pool
-    .request()
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT TOP 1 application_id, status
-      FROM student_applications
-      WHERE student_id = @student_id
-      ORDER BY application_id DESC
-    `);
-
-  let application_id;
-
-  if (existingApp.recordset.length > 0 && existingApp.recordset[0].status === 'REJECTED') {
-    // This is a REAPPLICATION - Update existing record
-    const existingAppId = existingApp.recordset[0].application_id;
-
-    // Update the existing application
-    await pool
-      .request()
-      .input('application_id', sql.Int, existingAppId)
-      .input('blood_group', sql.VarChar(5), blood_group)
-      .input('address', sql.VarChar(500), address.trim())
-      .input('department', sql.VarChar(100), department)
-      .input('year_of_study', sql.Int, parseInt(year_of_study))
-      .input('semester', sql.Int, parseInt(semester))
-      .input('college_code', sql.VarChar(20), college_code)
-      .query(`
-        UPDATE student_applications
-        SET 
-          blood_group = @blood_group,
-          address = @address,
-          department = @department,
-          year_of_study = @year_of_study,
-          semester = @semester,
-          college_code = @college_code,
-          status = 'SUBMITTED',
-          submitted_at = SYSUTCDATETIME(),
-          rejected_reason = NULL,
-          reviewed_at = NULL
-        WHERE application_id = @application_id
-      `);
-
-    application_id = existingAppId;
-
-    // Increment reapply_count in students table
-    await pool
-      .request()
-      .input('student_id', sql.Int, auth.student_id)
-      .query(`
-        UPDATE students
-        SET reapply_count = reapply_count + 1
-        WHERE student_id = @student_id
-      `);
-
-    // Delete old documents
-    await pool
-      .request()
-      .input('application_id', sql.Int, application_id)
-      .query(`DELETE FROM application_documents WHERE application_id = @application_id`);
-
-  } else {
-    // This is a NEW APPLICATION - Insert new record
-    const insertResult = await pool
-      .request()
-      .input('student_id', sql.Int, auth.student_id)
-      .input('blood_group', sql.VarChar(5), blood_group)
-      .input('address', sql.VarChar(500), address.trim())
-      .input('department', sql.VarChar(100), department)
-      .input('year_of_study', sql.Int, parseInt(year_of_study))
-      .input('semester', sql.Int, parseInt(semester))
-      .input('college_code', sql.VarChar(20), college_code)
-      .query(`
-        INSERT INTO student_applications (
-          student_id, blood_group, address, department, year_of_study, semester, college_code, status, submitted_at
-        )
-        OUTPUT INSERTED.application_id
-        VALUES (
-          @student_id, @blood_group, @address, @department, @year_of_study, @semester, @college_code, 'SUBMITTED', SYSUTCDATETIME()
-        )
-      `);
-
-    application_id = insertResult.recordset[0].application_id;
-  }
-
-  // Insert 3 document records
-  const blobBasePath = `${college_code}/${auth.usn}/application`;
-  const documents = [
-    { type: 'AADHAR', url: `https://${AZURE_STORAGE_ACCOUNT_NAME}.blob.core.windows.net/${CONTAINER_NAME}/${blobBasePath}/aadhaar` },
-    { type: 'COLLEGE_ID', url: `https://${AZURE_STORAGE_ACCOUNT_NAME}.blob.core.windows.net/${CONTAINER_NAME}/${blobBasePath}/college_id_card` },
-    { type: 'SSLC', url: `https://${AZURE_STORAGE_ACCOUNT_NAME}.blob.core.windows.net/${CONTAINER_NAME}/${blobBasePath}/marks_card_10th` },
-  ];
-
-  for (const doc of documents) {
-    await pool
-      .request()
-      .input('application_id', sql.Int, application_id)
-      .input('document_type', sql.VarChar(50), doc.type)
-      .input('document_url', sql.VarChar(500), doc.url)
-      .query(`
-        INSERT INTO application_documents (application_id, document_type, document_url, uploaded_at)
-        VALUES (@application_id, @document_type, @document_url, SYSUTCDATETIME())
-      `);
-  }
-
-  // Delete session
-  await pool
-    .request()
-    .input('session_id', sql.VarChar(64), session_id)
-    .query(`DELETE FROM application_sessions WHERE session_id = @session_id`);
+  // Tell the client which documents already made it, so only the rest are re-uploaded
+  const requirements = await loadDocumentRequirements(pool, auth.college_id);
+  const uploaded = {};
+  for (const doc of requirements) {
+    uploaded[doc.blob_name] = (await getBlobFingerprint(`${blobBasePath}/${doc.blob_name}`)) !== null;
+  }
 
   return {
     statusCode: 200,
     headers,
     body: JSON.stringify({
-      message: 'Application submitted successfully',
-      application_id,
+      session_id: session.session_id,
+      attempt_no: session.attempt_no,
+      draft: toDraft(session),
+      uploaded,
+      documents: toUploadSlots(requirements),
+      upload_urls: await generateUploadUrls(blobBasePath, expires_at, requirements),
+      expires_at: expires_at.toISOString(),
+      updated_at: session.updated_at,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: update_draft
+// ============================================================================
+const updateDraft = async (pool, auth, body) => {
+  const { value: { session_id }, fields: sessionFields } = validate(SESSION_SCHEMA, body);
+  if (sessionFields) {
+    return fieldErrorResponse(headers, sessionFields);
+  }
+
+  // Only fields present in the body are changed, but none may be blanked
+  const provided = Object.keys(APPLICATION_FORM.fields).filter((field) => body[field] !== undefined);
+
+  if (provided.length === 0) {
+    return errorResponse(headers, new AppError('NO_DRAFT_FIELDS'));
+  }
+
+  const session = await sessions.findForStudent(pool, session_id, auth.student_id);
+  if (!session || session.consumed_at || new Date(session.expires_at).getTime() < Date.now()) {
+    return errorResponse(headers, new AppError('SESSION_NOT_FOUND'));
+  }
+
+  // Validate the draft as it will look after the patch, so cross-field
+  // rules (year vs semester) see the stored value of the untouched field
+  const patch = Object.fromEntries(provided.map((field) => [field, body[field]]));
+  const { value: form, fields } = await validateApplicationForm(pool, auth.college_id, {
+    ...toDraft(session),
+    ...patch,
+  });
+  if (fields) {
+    return fieldErrorResponse(headers, fields);
+  }
+
+  // null leaves a column unchanged
+  const changes = Object.fromEntries(
+    Object.keys(APPLICATION_FORM.fields).map((field) => [field, field in patch ? form[field] : null])
+  );
+  const draft = await sessions.updateDraft(pool, session_id, auth.student_id, changes);
+
+  if (!draft) {
+    return errorResponse(headers, new AppError('SESSION_NOT_FOUND'));
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Draft saved',
+      draft: toDraft(draft),
     }),
   };
 };
@@ -415,36 +590,35 @@ const finalizeApplication = async (pool, auth, body) => {
 // ACTION: get_application_status
 // ============================================================================
 const getApplicationStatus = async (pool, auth) => {
-  const result = await pool
-    .request()
-    .input('student_id', sql.Int, auth.student_id)
-    .query(`
-      SELECT TOP 1 
-        sa.application_id, 
-        sa.status, 
-        sa.submitted_at,
-        sa.rejected_reason,
-        sa.reviewed_at,
-        s.reapply_count
-      FROM student_applications sa
-      INNER JOIN students s ON sa.student_id = s.student_id
-      WHERE sa.student_id = @student_id
-      ORDER BY sa.application_id DESC
-    `);
-
-  if (result.recordset.length === 0) {
+  const app = await applications.findStatusForStudent(pool, auth.student_id);
+  const policy = await getApplicationPolicy(pool, auth.college_id);
+  const window = getApplicationWindow(policy);
+
+  // Deadlines for the portal's countdown; server_time lets it correct for
+  // a wrong client clock
+  const application_window = {
+    is_open: window.is_open,
+    opens_at: window.opens_at,
+    closes_at: window.closes_at,
+    max_reapplications: policy.max_reapplications,
+    session_minutes: policy.session_minutes,
+    server_time: new Date(),
+  };
+
+  if (!app) {
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({ 
         application: null,
-        message: 'No application found. You can submit a new application.'
+        application_window,
+        message: window.is_open
+          ? 'No application found. You can submit a new application.'
+          : `No application found. ${window.reason}.`
       }),
     };
   }
 
-  const app = result.recordset[0];
-
   return {
     statusCode: 200,
     headers,
@@ -455,9 +629,37 @@ const getApplicationStatus = async (pool, auth) => {
         submitted_at: app.submitted_at,
         rejected_reason: app.rejected_reason,
         reviewed_at: app.reviewed_at,
+        attempt_no: app.attempt_no,
         reapply_count: app.reapply_count,
-        can_reapply: app.status === 'REJECTED' && app.reapply_count < 2
-      }
+        can_reapply: window.is_open && canReapply(app, policy)
+      },
+      application_window,
+    }),
+  };
+};
+
+// ============================================================================
+// ACTION: get_application_history
+// ============================================================================
+const getApplicationHistory = async (pool, auth) => {
+  const latest = await applications.findLatestByStudent(pool, auth.student_id);
+
+  if (!latest) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ application_id: null, history: [] }),
+    };
+  }
+
+  const { application_id } = latest;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      application_id,
+      history: await getHistory(pool, application_id),
     }),
   };
 };
@@ -466,89 +668,59 @@ const getApplicationStatus = async (pool, auth) => {
 // MAIN HANDLER
 // ============================================================================
 exports.handler = async (event) => {
+  const log = createLogger('student-submit-application', event);
+
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return errorResponse(headers, new AppError('METHOD_NOT_ALLOWED'));
   }
 
   let body;
   try {
     body = JSON.parse(event.body || '{}');
   } catch {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'Invalid JSON body' }),
-    };
+    return errorResponse(headers, new AppError('INVALID_JSON'));
   }
 
   const { action } = body;
 
   if (!action) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'action is required' }),
-    };
+    return errorResponse(headers, new AppError('ACTION_REQUIRED'));
   }
 
-  let pool;
   try {
     // Verify authentication
     const auth = verifyAuth(event);
 
-    // Connect to database
-    pool = await sql.connect(dbConfig);
+    // Shared pool, reused across warm invocations - never closed here
+    const pool = await getPool();
 
     // Route to action
     if (action === 'init_application') {
-      return await initApplication(pool, auth, body);
+      return await initApplication(pool, auth, body, event);
     } else if (action === 'finalize_application') {
       return await finalizeApplication(pool, auth, body);
+    } else if (action === 'get_draft') {
+      return await getDraft(pool, auth);
+    } else if (action === 'update_draft') {
+      return await updateDraft(pool, auth, body);
     } else if (action === 'get_application_status') {
       return await getApplicationStatus(pool, auth);
+    } else if (action === 'get_application_history') {
+      return await getApplicationHistory(pool, auth);
     } else {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Invalid action' }),
-      };
+      return errorResponse(headers, new AppError('INVALID_ACTION'));
     }
   } catch (error) {
-    console.error('Error:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      code: error.code,
-      number: error.number
-    });
-
-    if (error.message.includes('Authorization') || error.message.includes('Unauthorized')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: error.message }),
-      };
+    if (error instanceof AppError) {
+      log.warn('Request refused', { action, code: error.code });
+    } else {
+      log.error('Request failed', { action, error });
     }
 
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: error.message // ✅ Send actual error to frontend for debugging
-      }),
-    };
-  } finally {
-    if (pool) {
-      await pool.close();
-    }
+    return errorResponse(headers, error, { request_id: log.request_id });
   }
-};
\ No newline at end of file
+};
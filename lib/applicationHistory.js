@@ -0,0 +1,47 @@
+const { sql } = require('../dbConfig');
+
+/**
+ * Append one status transition to application_status_history.
+ * `executor` is a pool or a transaction, so callers can record the
+ * transition atomically with the status UPDATE that caused it.
+ */
+const recordStatusChange = async (executor, entry) => {
+  await executor
+    .request()
+    .input('application_id', sql.Int, entry.application_id)
+    .input('from_status', sql.VarChar(20), entry.from_status || null)
+    .input('to_status', sql.VarChar(20), entry.to_status)
+    .input('actor_role', sql.VarChar(20), entry.actor_role)
+    .input('actor_id', sql.Int, entry.actor_id)
+    .input('reason', sql.NVarChar(1000), entry.reason || null)
+    .query(`
+      INSERT INTO application_status_history (
+        application_id, from_status, to_status, actor_role, actor_id, reason, changed_at
+      )
+      VALUES (
+        @application_id, @from_status, @to_status, @actor_role, @actor_id, @reason, SYSUTCDATETIME()
+      )
+    `);
+};
+
+/**
+ * Full timeline for one application, oldest first.
+ */
+const getHistory = async (executor, application_id) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .query(`
+      SELECT history_id, from_status, to_status, actor_role, actor_id, reason, changed_at
+      FROM application_status_history
+      WHERE application_id = @application_id
+      ORDER BY changed_at ASC, history_id ASC
+    `);
+
+  return result.recordset;
+};
+
+module.exports = {
+  recordStatusChange,
+  getHistory,
+};
@@ -0,0 +1,65 @@
+const { policies } = require('./repositories');
+
+/**
+ * Used for any field the policy rows leave unset.
+ */
+const DEFAULT_POLICY = {
+  opens_at: null,
+  closes_at: null,
+  max_reapplications: 2,
+  session_minutes: 25,
+};
+
+/**
+ * The policy in force for a college: each field comes from the college's
+ * row, else the general row, else DEFAULT_POLICY.
+ */
+const getApplicationPolicy = async (executor, college_id) => {
+  const { general, college } = await policies.findForCollege(executor, college_id);
+
+  const policy = {};
+  for (const field of Object.keys(DEFAULT_POLICY)) {
+    const source = [college, general].find((row) => row && row[field] !== null);
+    policy[field] = source ? source[field] : DEFAULT_POLICY[field];
+  }
+  return policy;
+};
+
+/**
+ * Is the application window open at `now`? Returns `{ is_open, opens_at,
+ * closes_at, reason }`, reason being null while open.
+ */
+const getApplicationWindow = (policy, now = new Date()) => {
+  const { opens_at, closes_at } = policy;
+  let reason = null;
+
+  if (opens_at && now < opens_at) {
+    reason = `Applications open on ${opens_at.toISOString()}`;
+  } else if (closes_at && now >= closes_at) {
+    reason = `Applications closed on ${closes_at.toISOString()}`;
+  }
+
+  return { is_open: reason === null, opens_at, closes_at, reason };
+};
+
+/**
+ * Can the student behind this application submit another attempt under
+ * `policy`? `app` needs `status` and the student's `reapply_count`.
+ */
+const canReapply = (app, policy) => app.status === 'REJECTED' && app.reapply_count < policy.max_reapplications;
+
+/**
+ * Application statuses that let a student register for fest events.
+ */
+const EVENT_ELIGIBLE_STATUSES = ['APPROVED', 'FINAL_APPROVED'];
+
+const canRegisterForEvents = (status) => EVENT_ELIGIBLE_STATUSES.includes(status);
+
+module.exports = {
+  DEFAULT_POLICY,
+  getApplicationPolicy,
+  getApplicationWindow,
+  canReapply,
+  EVENT_ELIGIBLE_STATUSES,
+  canRegisterForEvents,
+};
@@ -0,0 +1,51 @@
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errors');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+/**
+ * Sign a portal token. The payload shape is owned by the caller; `role`
+ * is always required because every function authorises on it.
+ */
+const signToken = (payload) => {
+  if (!payload.role) {
+    throw new Error('Token payload requires a role');
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+};
+
+/**
+ * Verify the Bearer token on an event and check its role.
+ * `roles` may be a single role or a list of accepted roles.
+ *
+ * Throws an AppError (AUTH_REQUIRED, AUTH_INVALID_TOKEN or
+ * AUTH_ROLE_REQUIRED), all 401s.
+ */
+const verifyToken = (event, roles) => {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AppError('AUTH_REQUIRED');
+  }
+
+  const token = authHeader.substring(7);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw new AppError('AUTH_INVALID_TOKEN');
+  }
+
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  if (!allowed.includes(decoded.role)) {
+    throw new AppError('AUTH_ROLE_REQUIRED', `Unauthorized: ${allowed.join(' or ')} role required`);
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,245 @@
+const {
+  BlobServiceClient,
+  BlobSASPermissions,
+  StorageSharedKeyCredential,
+} = require('@azure/storage-blob');
+
+const CONTAINER_NAME = process.env.AZURE_STORAGE_CONTAINER || 'student-documents';
+
+const DEFAULT_MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Leading bytes of each accepted format
+const MAGIC_BYTES = [
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+const SNIFF_LENGTH = 8;
+
+// Every type verifyDocumentBlob can recognise from the file contents
+const SUPPORTED_DOCUMENT_TYPES = MAGIC_BYTES.map(({ type }) => type);
+
+let containerClient;
+
+/**
+ * AZURE_STORAGE_CONNECTION_STRING takes precedence so local runs can point
+ * at Azurite (e.g. `UseDevelopmentStorage=true`); otherwise the account
+ * name/key pair is used against the public endpoint.
+ */
+const getContainerClient = () => {
+  if (containerClient) return containerClient;
+
+  let serviceClient;
+  if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
+    serviceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  } else {
+    const accountName = process.env.AZURE_STORAGE_ACCOUNT_NAME;
+    const credential = new StorageSharedKeyCredential(
+      accountName,
+      process.env.AZURE_STORAGE_ACCOUNT_KEY
+    );
+    serviceClient = new BlobServiceClient(
+      `https://${accountName}.blob.core.windows.net`,
+      credential
+    );
+  }
+
+  containerClient = serviceClient.getContainerClient(CONTAINER_NAME);
+  return containerClient;
+};
+
+/**
+ * Blob folder for one application attempt. Each attempt gets its own
+ * folder so a reapplication never overwrites the rejected attempt's files.
+ */
+const getAttemptBasePath = (college_code, usn, attempt_no) => {
+  return `${college_code}/${usn}/application/attempt-${attempt_no}`;
+};
+
+/**
+ * Where finalize_application freezes a submitted document. Students only
+ * ever get write links to the upload slots directly in the attempt folder,
+ * so nothing under here can be changed after submission. Each session gets
+ * its own folder, so concurrent finalizes for the same attempt never write
+ * over each other's copies before one of them wins.
+ */
+const getSubmittedPath = (attemptBasePath, session_id, blob_name) =>
+  `${attemptBasePath}/submitted/${session_id}/${blob_name}`;
+
+/**
+ * Bare (unsigned) URL of a blob, as stored in application_documents.
+ */
+const getBlobUrl = (blobPath) => getContainerClient().getBlobClient(blobPath).url;
+
+/**
+ * Inverse of getBlobUrl: blob path inside the container for a stored URL.
+ * Works for both the public endpoint and Azurite's path-style URLs.
+ */
+const blobPathFromUrl = (url) => {
+  const { pathname } = new URL(url);
+  const marker = `/${CONTAINER_NAME}/`;
+  const index = pathname.indexOf(marker);
+  if (index === -1) {
+    throw new Error(`URL is not in container ${CONTAINER_NAME}`);
+  }
+  return decodeURIComponent(pathname.substring(index + marker.length));
+};
+
+/**
+ * SAS URL for a single blob. `permissions` is a BlobSASPermissions string,
+ * e.g. 'w' for student uploads or 'r' for reviewers viewing a document.
+ */
+const generateSASUrl = async (blobPath, permissions, expiresOn) => {
+  return getContainerClient().getBlobClient(blobPath).generateSasUrl({
+    permissions: BlobSASPermissions.parse(permissions),
+    expiresOn,
+  });
+};
+
+/**
+ * Size, MD5 and timestamps of a blob, or null if it does not exist.
+ * Used to tell whether a document changed between application attempts.
+ */
+const getBlobFingerprint = async (blobPath) => {
+  try {
+    const properties = await getContainerClient().getBlobClient(blobPath).getProperties();
+    return {
+      size: properties.contentLength,
+      content_type: properties.contentType,
+      content_md5: properties.contentMD5 ? Buffer.from(properties.contentMD5).toString('base64') : null,
+      last_modified: properties.lastModified,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Server-side copy within the container, overwriting `targetPath`.
+ * Resolves once the copy has completed.
+ */
+const copyBlob = async (sourcePath, targetPath) => {
+  const container = getContainerClient();
+  const poller = await container
+    .getBlobClient(targetPath)
+    .beginCopyFromURL(container.getBlobClient(sourcePath).url);
+  await poller.pollUntilDone();
+};
+
+/**
+ * Whole blob as a Buffer, or null if it does not exist or is larger than
+ * `maxBytes`.
+ */
+const downloadBlob = async (blobPath, maxBytes = DEFAULT_MAX_DOCUMENT_BYTES) => {
+  const blobClient = getContainerClient().getBlobClient(blobPath);
+
+  let properties;
+  try {
+    properties = await blobClient.getProperties();
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+
+  if (!properties.contentLength || properties.contentLength > maxBytes) return null;
+  return blobClient.downloadToBuffer();
+};
+
+/**
+ * Every blob in the container as `{ path, size, last_modified }`, listed
+ * page by page.
+ */
+async function* listBlobs() {
+  for await (const blob of getContainerClient().listBlobsFlat()) {
+    yield {
+      path: blob.name,
+      size: blob.properties.contentLength,
+      last_modified: blob.properties.lastModified,
+    };
+  }
+}
+
+/**
+ * Delete a blob; false if it was already gone.
+ */
+const deleteBlob = async (blobPath) => {
+  const response = await getContainerClient().getBlobClient(blobPath).deleteIfExists();
+  return response.succeeded;
+};
+
+/**
+ * Detect the real file type from its leading bytes; null if unrecognised.
+ */
+const sniffContentType = (buffer) => {
+  const match = MAGIC_BYTES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)
+  );
+  return match ? match.type : null;
+};
+
+/**
+ * Check that an uploaded blob exists and is an acceptable document.
+ * Returns a list of human-readable problems; empty means the blob passed.
+ */
+const verifyDocumentBlob = async (blobPath, limits = {}) => {
+  const maxBytes = limits.maxBytes || DEFAULT_MAX_DOCUMENT_BYTES;
+  const allowedTypes = limits.allowedTypes || DEFAULT_ALLOWED_TYPES;
+  const blobClient = getContainerClient().getBlobClient(blobPath);
+
+  let properties;
+  try {
+    properties = await blobClient.getProperties();
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return ['Document has not been uploaded'];
+    }
+    throw error;
+  }
+
+  const errors = [];
+  const size = properties.contentLength || 0;
+
+  if (size === 0) {
+    return ['Document is empty'];
+  }
+
+  if (size > maxBytes) {
+    errors.push(`Document is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB`);
+  }
+
+  const declaredType = (properties.contentType || '').split(';')[0].trim().toLowerCase();
+  if (!allowedTypes.includes(declaredType)) {
+    errors.push(`Content type ${declaredType || '(none)'} is not allowed`);
+  }
+
+  const head = await blobClient.downloadToBuffer(0, Math.min(SNIFF_LENGTH, size));
+  const actualType = sniffContentType(head);
+
+  if (!actualType || !allowedTypes.includes(actualType)) {
+    errors.push(`File contents are not one of: ${allowedTypes.join(', ')}`);
+  } else if (declaredType && actualType !== declaredType) {
+    errors.push(`File contents (${actualType}) do not match content type ${declaredType}`);
+  }
+
+  return errors;
+};
+
+module.exports = {
+  CONTAINER_NAME,
+  SUPPORTED_DOCUMENT_TYPES,
+  getContainerClient,
+  getAttemptBasePath,
+  getSubmittedPath,
+  getBlobUrl,
+  blobPathFromUrl,
+  generateSASUrl,
+  getBlobFingerprint,
+  copyBlob,
+  downloadBlob,
+  listBlobs,
+  deleteBlob,
+  sniffContentType,
+  verifyDocumentBlob,
+};
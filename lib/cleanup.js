@@ -0,0 +1,159 @@
+const { documents, rateLimits, sessions } = require('./repositories');
+const { getAttemptBasePath, blobPathFromUrl, listBlobs, deleteBlob } = require('./blobStorage');
+const { createLogger } = require('./logger');
+const { getLongestWindowSeconds } = require('./rateLimit');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Finalized sessions are kept this long past expiry so a retried
+// finalize_application still gets its replay
+const SESSION_RETENTION_HOURS = parseInt(process.env.CLEANUP_SESSION_RETENTION_HOURS || '24');
+// An unreferenced blob must be at least this old before it is deleted
+const BLOB_GRACE_HOURS = parseInt(process.env.CLEANUP_BLOB_GRACE_HOURS || '72');
+const MAX_BLOB_DELETES = parseInt(process.env.CLEANUP_MAX_BLOB_DELETES || '500');
+
+const SESSION_DELETE_BATCH = 1000;
+const RATE_LIMIT_DELETE_BATCH = 5000;
+// Removed blobs listed in the summary; the counts always cover all of them
+const MAX_LISTED_BLOBS = 100;
+
+// Only upload slots and submitted copies inside a getAttemptBasePath
+// folder are ever considered; the first group is the attempt folder
+const ATTEMPT_BLOB_PATTERN = /^([^/]+\/[^/]+\/application\/attempt-\d+)\/(?:submitted\/[^/]+\/)?[^/]+$/;
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+const purgeSessions = async (pool, { dryRun, now }) => {
+  const expired_before = new Date(now.getTime() - SESSION_RETENTION_HOURS * HOUR_MS);
+
+  if (dryRun) {
+    return sessions.countExpired(pool, expired_before);
+  }
+
+  // In batches so no single statement holds locks on the whole table
+  const removed = { abandoned: 0, finalized: 0 };
+  for (;;) {
+    const batch = await sessions.deleteExpired(pool, expired_before, SESSION_DELETE_BATCH);
+    removed.abandoned += batch.abandoned;
+    removed.finalized += batch.finalized;
+    if (batch.abandoned + batch.finalized < SESSION_DELETE_BATCH) break;
+  }
+  return removed;
+};
+
+// ============================================================================
+// Rate limit buckets
+// ============================================================================
+
+// A bucket past the longest window restarts at its next hit anyway, so it
+// only holds the IP or student it was keyed on
+const purgeRateLimits = async (pool, { dryRun, now }) => {
+  const window_start_before = new Date(now.getTime() - getLongestWindowSeconds() * 1000);
+
+  if (dryRun) {
+    return { removed: await rateLimits.countStale(pool, window_start_before) };
+  }
+
+  let removed = 0;
+  for (;;) {
+    const batch = await rateLimits.deleteStale(pool, window_start_before, RATE_LIMIT_DELETE_BATCH);
+    removed += batch;
+    if (batch < RATE_LIMIT_DELETE_BATCH) break;
+  }
+  return { removed };
+};
+
+// ============================================================================
+// Blobs
+// ============================================================================
+
+// Paths of every blob an application_documents row points at
+const loadReferencedPaths = async (pool, log) => {
+  const paths = new Set();
+
+  for (const url of await documents.listAllUrls(pool)) {
+    try {
+      paths.add(blobPathFromUrl(url));
+    } catch {
+      log.warn('Ignoring stored document URL outside the container', { url });
+    }
+  }
+  return paths;
+};
+
+const purgeBlobs = async (pool, { dryRun, now, log }) => {
+  const uploaded_before = new Date(now.getTime() - BLOB_GRACE_HOURS * HOUR_MS);
+
+  // Anything finalized while the listing runs comes from a session that is
+  // open now, and that session's folder is kept
+  const referenced = await loadReferencedPaths(pool, log);
+  const openFolders = new Set(
+    (await sessions.listOpenAttempts(pool)).map(({ college_code, usn, attempt_no }) =>
+      getAttemptBasePath(college_code, usn, attempt_no)
+    )
+  );
+
+  const summary = {
+    scanned: 0,
+    removed: 0,
+    removed_bytes: 0,
+    kept_referenced: 0,
+    kept_open_session: 0,
+    kept_recent: 0,
+    skipped_unknown_path: 0,
+    limit_reached: false,
+    removed_blobs: [],
+  };
+
+  for await (const blob of listBlobs()) {
+    summary.scanned++;
+
+    const match = ATTEMPT_BLOB_PATTERN.exec(blob.path);
+
+    if (!match) {
+      summary.skipped_unknown_path++;
+    } else if (referenced.has(blob.path)) {
+      summary.kept_referenced++;
+    } else if (openFolders.has(match[1])) {
+      summary.kept_open_session++;
+    } else if (blob.last_modified >= uploaded_before) {
+      summary.kept_recent++;
+    } else if (summary.removed >= MAX_BLOB_DELETES) {
+      // The rest waits for the next run
+      summary.limit_reached = true;
+      break;
+    } else {
+      if (!dryRun && !(await deleteBlob(blob.path))) continue;
+
+      summary.removed++;
+      summary.removed_bytes += blob.size || 0;
+      if (summary.removed_blobs.length < MAX_LISTED_BLOBS) {
+        summary.removed_blobs.push({ path: blob.path, size: blob.size, last_modified: blob.last_modified });
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Delete expired application sessions, stale rate limit buckets and, once
+ * they are past the grace period, document blobs no application
+ * references. With `dryRun` nothing is deleted and the summary reports
+ * what would have been. Removed blob paths contain USNs; log the summary
+ * through the logger.
+ */
+const runCleanup = async (pool, { dryRun = false, now = new Date(), log = createLogger('cleanup') } = {}) => {
+  return {
+    dry_run: dryRun,
+    sessions: await purgeSessions(pool, { dryRun, now }),
+    rate_limits: await purgeRateLimits(pool, { dryRun, now }),
+    blobs: await purgeBlobs(pool, { dryRun, now, log }),
+  };
+};
+
+module.exports = {
+  runCleanup,
+};
@@ -0,0 +1,77 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes inside quotes,
+ * embedded newlines, CRLF or LF line endings and a leading UTF-8 BOM.
+ * Returns an array of rows, each an array of raw string cells. Blank lines
+ * are dropped.
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * One CSV cell: null/undefined become empty, dates ISO 8601, and anything
+ * with a comma, quote or line break is quoted. Text starting with = + - or @
+ * gets a leading apostrophe so spreadsheets do not run it as a formula.
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows (arrays of cells) as CRLF-separated CSV.
+ */
+const toCsv = (rows) => rows.map((row) => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsvCell,
+  toCsv,
+};
@@ -0,0 +1,78 @@
+/**
+ * Error catalogue. Every error a client sees carries a stable `code` next
+ * to its human-readable `error`, so the portal can branch on the code while
+ * the wording changes freely. Add new codes here; never reuse or rename one.
+ */
+const ERRORS = {
+  // Request shape
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed' },
+  MISSING_BODY: { status: 400, message: 'Missing request body' },
+  INVALID_JSON: { status: 400, message: 'Invalid JSON body' },
+  ACTION_REQUIRED: { status: 400, message: 'action is required' },
+  INVALID_ACTION: { status: 400, message: 'Invalid action' },
+  VALIDATION_FAILED: { status: 400, message: 'One or more fields are invalid' },
+
+  // Authentication
+  AUTH_REQUIRED: { status: 401, message: 'Missing or invalid Authorization header' },
+  AUTH_INVALID_TOKEN: { status: 401, message: 'Unauthorized: Invalid or expired token' },
+  AUTH_ROLE_REQUIRED: { status: 401, message: 'Unauthorized: role required' },
+
+  // Application lifecycle
+  APPLICATION_WINDOW_CLOSED: { status: 403, message: 'Applications are closed' },
+  REAPPLY_LIMIT_REACHED: { status: 403, message: 'Maximum reapplication limit reached' },
+  APPLICATION_BLOCKED: { status: 409, message: 'You already have an application in progress' },
+  STUDENT_NOT_FOUND: { status: 404, message: 'Student not found' },
+  SESSION_NOT_FOUND: { status: 404, message: 'Invalid or expired session' },
+  SESSION_EXPIRED: { status: 400, message: 'Session expired. Please restart.' },
+  OPEN_SESSION_LIMIT_REACHED: { status: 429, message: 'Too many open application sessions' },
+  DOCUMENTS_INVALID: { status: 422, message: 'One or more documents failed verification' },
+  NO_DRAFT_FIELDS: { status: 400, message: 'No draft fields to update' },
+
+  RATE_LIMITED: { status: 429, message: 'Too many requests, please try again later' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  INTERNAL: { status: 500, message: 'An error occurred processing your request' },
+};
+
+/**
+ * An error with a catalogued code. `message` overrides the catalogue's
+ * wording; `details` are extra fields for the response body.
+ */
+class AppError extends Error {
+  constructor(code, message, details = {}) {
+    const entry = ERRORS[code];
+    if (!entry) throw new Error(`Unknown error code: ${code}`);
+
+    super(message || entry.message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = entry.status;
+    this.details = details;
+  }
+}
+
+/**
+ * Response for any thrown error. AppErrors go out as they are; anything
+ * else is a 500 whose only detail is `request_id`, so a user reporting it
+ * can be matched to the log entry without the internals reaching them.
+ */
+const errorResponse = (headers, error, { request_id = null } = {}) => {
+  if (error instanceof AppError) {
+    return {
+      statusCode: error.status,
+      headers,
+      body: JSON.stringify({ error: error.message, code: error.code, ...error.details }),
+    };
+  }
+
+  return {
+    statusCode: ERRORS.INTERNAL.status,
+    headers,
+    body: JSON.stringify({ error: ERRORS.INTERNAL.message, code: 'INTERNAL', request_id }),
+  };
+};
+
+module.exports = {
+  ERRORS,
+  AppError,
+  errorResponse,
+};
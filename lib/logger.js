@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { isValidUsn } = require('./usn');
+
+/**
+ * JSON logs, one line per entry, tagged with the function name and a
+ * request id. Everything logged goes through redact(): values under
+ * personal or secret keys are replaced, and USNs (valid or not), email
+ * addresses, bearer tokens and SAS signatures are masked inside any other
+ * text. Set LOG_LEVEL to debug, info (default), warn or error.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach the logs, at any depth
+const SENSITIVE_KEY = /usn|address|email|phone|password|secret|token|authorization|cookie|session_id|connection_string|signature/i;
+
+// Candidate words checked against the configured USN formats
+const WORD = /[A-Za-z0-9]{6,20}/g;
+// Mistyped USNs fail the formats but are still personal: region digit,
+// college letters, year, branch letters and roll number, loosely
+const USN_LIKE = /^\d?[A-Z]{2,4}\d{2}[A-Z]{0,3}\d{2,4}$/i;
+const EMAIL = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+const BEARER = /Bearer\s+[\w.~+/=-]+/gi;
+const JWT = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const SAS_SIGNATURE = /([?&]sig=)[^&\s"]+/gi;
+
+const MAX_DEPTH = 6;
+
+const redactText = (text) => text
+  .replace(BEARER, 'Bearer [REDACTED]')
+  .replace(JWT, REDACTED)
+  .replace(SAS_SIGNATURE, `$1${REDACTED}`)
+  .replace(EMAIL, '[EMAIL]')
+  .replace(WORD, (word) => (isValidUsn(word.toUpperCase()) || USN_LIKE.test(word) ? '[USN]' : word));
+
+/**
+ * Copy of `value` that is safe to log. Errors keep their name, code, SQL
+ * error number and stack.
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      number: value.number,
+      stack: value.stack,
+    }, depth + 1);
+  }
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+// Netlify's own request id, so entries match its function logs
+const getRequestId = (event) => {
+  const headers = (event && event.headers) || {};
+  return headers['x-nf-request-id'] || headers['x-request-id'] || crypto.randomUUID();
+};
+
+/**
+ * Logger for one invocation of function `name`. `event` supplies the
+ * request id; pass nothing for scheduled runs.
+ */
+const createLogger = (name, event) => {
+  const request_id = getRequestId(event);
+
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    // Caller fields first, so none of them can replace the fixed ones
+    const line = JSON.stringify({
+      ...redact(fields),
+      time: new Date().toISOString(),
+      level,
+      function: name,
+      request_id,
+      message: redactText(message),
+    });
+
+    if (level === 'error' || level === 'warn') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    request_id,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+  };
+};
+
+module.exports = {
+  createLogger,
+  redact,
+};
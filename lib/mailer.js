@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+const { createLogger } = require('./logger');
+
+// Messages kept by the capture transport, newest last. Capped, as a
+// deploy may choose it and functions stay warm.
+const MAX_CAPTURED_MAIL = 100;
+const capturedMail = [];
+let capturedCount = 0;
+
+// ============================================================================
+// TRANSPORTS
+// Each transport is `{ send({ from, to, subject, text, html }) }`.
+// Pick one with MAIL_TRANSPORT (resend | smtp | console | capture).
+// Locally it defaults to capture, which never sends real mail and never
+// writes message bodies (reset links) to the logs. On Netlify it must be
+// set: a default there would mark every email sent without sending it.
+// ============================================================================
+const transports = {
+  // Logs that a message went out, never its recipient or body
+  console: () => {
+    const log = createLogger('mailer');
+
+    return {
+      send: async (message) => {
+        log.info('Mail not sent (console transport)', { subject: message.subject });
+        return { id: null };
+      },
+    };
+  },
+
+  // Keeps every message in memory and, with MAIL_CAPTURE_DIR set, writes
+  // each one to <dir>/<timestamp>-<n>.json for inspection during local runs
+  capture: () => ({
+    send: async (message) => {
+      capturedCount++;
+      capturedMail.push(message);
+      if (capturedMail.length > MAX_CAPTURED_MAIL) capturedMail.shift();
+      const id = `capture-${capturedCount}`;
+
+      const dir = process.env.MAIL_CAPTURE_DIR;
+      if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(
+          path.join(dir, `${Date.now()}-${capturedCount}.json`),
+          JSON.stringify(message, null, 2)
+        );
+      }
+
+      return { id };
+    },
+  }),
+
+  // Works against any SMTP server, including local stubs like MailHog
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      },
+    };
+  },
+
+  resend: () => {
+    const client = new Resend(process.env.RESEND_API_KEY);
+
+    return {
+      send: async (message) => {
+        const { data, error } = await client.emails.send(message);
+        if (error) {
+          throw new Error(`Resend error: ${error.message}`);
+        }
+        return { id: data.id };
+      },
+    };
+  },
+};
+
+let activeTransport;
+
+/**
+ * Register an additional transport factory, e.g. a capture transport for
+ * local testing. Selecting it still goes through MAIL_TRANSPORT.
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = undefined;
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const deployed = Boolean(process.env.NETLIFY || process.env.CONTEXT) && process.env.NETLIFY_DEV !== 'true';
+  if (!process.env.MAIL_TRANSPORT && deployed) {
+    throw new Error('MAIL_TRANSPORT is not set');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'capture';
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Fest Portal <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Messages sent through the capture transport in this process.
+ */
+const getCapturedMail = () => [...capturedMail];
+
+const clearCapturedMail = () => {
+  capturedMail.length = 0;
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  getCapturedMail,
+  clearCapturedMail,
+};
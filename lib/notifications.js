@@ -0,0 +1,157 @@
+const { applications, outbox } = require('./repositories');
+const { createLogger } = require('./logger');
+const { sendMail } = require('./mailer');
+const { canReapply, getApplicationPolicy } = require('./applicationRules');
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:8888';
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const LEASE_MINUTES = 10;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// ============================================================================
+// TEMPLATES
+// Each takes the application joined with its student (see
+// applications.findWithStudent) and the college's application policy, and
+// returns { subject, lines }. Lines are plain text; the HTML body is built
+// from the same lines.
+// ============================================================================
+const TEMPLATES = {
+  application_submitted: (app) => ({
+    subject: `Application received (attempt ${app.attempt_no})`,
+    lines: [
+      `We have received your application (ID ${app.application_id}, attempt ${app.attempt_no}).`,
+      'Your college will review it and you will get another email when the status changes.',
+    ],
+  }),
+
+  application_approved: (app) => ({
+    subject: 'Your application was approved by your college',
+    lines: [
+      `Your application (ID ${app.application_id}) has been approved by your college.`,
+      'It now goes to the organisers for final approval.',
+    ],
+  }),
+
+  application_rejected: (app, policy) => ({
+    subject: 'Your application was not approved',
+    lines: [
+      `Your application (ID ${app.application_id}) was not approved by your college.`,
+      `Reason: ${app.rejected_reason || 'No reason given'}`,
+      canReapply(app, policy)
+        ? 'You can correct the application and submit it again from the portal.'
+        : 'You have used all of your reapplications, so this application cannot be submitted again.',
+    ],
+  }),
+
+  application_final_approved: (app) => ({
+    subject: 'Your application has been given final approval',
+    lines: [
+      `Congratulations! Your application (ID ${app.application_id}) has been given final approval by the organisers.`,
+      'Watch the portal for your participant pass and event details.',
+    ],
+  }),
+};
+
+const render = (template, app, policy) => {
+  const { subject, lines } = TEMPLATES[template](app, policy);
+  const greeting = `Hi ${app.full_name},`;
+  const footer = `Check your application at ${APP_BASE_URL}`;
+
+  return {
+    subject,
+    text: [greeting, '', ...lines, '', footer].join('\n'),
+    html: [greeting, ...lines, footer].map((line) => `<p>${escapeHtml(line)}</p>`).join('\n'),
+  };
+};
+
+/**
+ * Render `template` for an application and queue it in the outbox. Pass the
+ * transaction that made the change, so the email is queued only if the
+ * change commits. Returns the notification_id, or null if the student has
+ * no email address.
+ */
+const queueApplicationEmail = async (executor, template, application_id) => {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  const app = await applications.findWithStudent(executor, application_id);
+  if (!app || !app.email) return null;
+
+  const policy = await getApplicationPolicy(executor, app.college_id);
+
+  return outbox.enqueue(executor, {
+    template,
+    application_id,
+    recipient: app.email,
+    ...render(template, app, policy),
+  });
+};
+
+/**
+ * Send due notifications from the outbox. Failures are retried with
+ * exponential backoff (2, 4, 8, ... minutes) and marked FAILED after
+ * NOTIFICATION_MAX_ATTEMPTS. Pass `ids` to send only those rows.
+ * Returns `{ sent, retrying, failed }`.
+ */
+const dispatchPending = async (pool, { limit = 50, ids = null } = {}) => {
+  const log = createLogger('notifications');
+  const due = await outbox.claimDue(pool, { limit, lease_minutes: LEASE_MINUTES, ids });
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const notification of due) {
+    try {
+      const { id } = await sendMail({
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body_text,
+        html: notification.body_html,
+      });
+      await outbox.markSent(pool, notification.notification_id, id);
+      summary.sent++;
+    } catch (error) {
+      const giveUp = notification.attempts >= MAX_ATTEMPTS;
+      const retry_at = giveUp
+        ? null
+        : new Date(Date.now() + 2 ** notification.attempts * 60 * 1000);
+
+      log.warn('Notification failed', {
+        notification_id: notification.notification_id,
+        attempts: notification.attempts,
+        will_retry: !giveUp,
+        error,
+      });
+      await outbox.markFailed(pool, notification.notification_id, error.message, retry_at);
+      summary[giveUp ? 'failed' : 'retrying']++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Try to send freshly queued notifications right away. Never throws:
+ * anything not sent here stays queued for notification-dispatch.
+ */
+const sendQueuedNow = async (pool, ids) => {
+  const queued = ids.filter(Boolean);
+  if (queued.length === 0) return;
+
+  try {
+    await dispatchPending(pool, { limit: queued.length, ids: queued });
+  } catch (error) {
+    createLogger('notifications').error('Immediate send failed; left for dispatch', { error });
+  }
+};
+
+module.exports = {
+  queueApplicationEmail,
+  dispatchPending,
+  sendQueuedNow,
+};
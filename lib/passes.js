@@ -0,0 +1,120 @@
+/**
+ * Participant passes: the signed QR payload and the PDF the student prints.
+ *
+ * The QR code holds `PASS1.<application_id>.<pass_code>.<signature>`, where
+ * the signature is an HMAC-SHA256 (base64url) of the rest keyed with
+ * PASS_SIGNING_SECRET. The signature proves the pass came from us; whether
+ * it still admits anyone is decided at the gate from the database.
+ */
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const PASS_VERSION = 'PASS1';
+const EVENT_NAME = process.env.PASS_EVENT_NAME || 'Participant Pass';
+
+const getSecret = () => {
+  const secret = process.env.PASS_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('PASS_SIGNING_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+/**
+ * Random code identifying one issued pass.
+ */
+const generatePassCode = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * The signed string encoded in a pass's QR code.
+ */
+const signPass = (application_id, pass_code) => {
+  const payload = `${PASS_VERSION}.${application_id}.${pass_code}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check a scanned QR string. Returns `{ application_id, pass_code }`, or
+ * null if it is malformed or the signature does not match.
+ */
+const verifyPassToken = (token) => {
+  const parts = String(token).trim().split('.');
+  if (parts.length !== 4 || parts[0] !== PASS_VERSION || !/^\d+$/.test(parts[1])) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(parts.slice(0, 3).join('.')));
+  const actual = Buffer.from(parts[3]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return { application_id: parseInt(parts[1], 10), pass_code: parts[2] };
+};
+
+/**
+ * Render the A6 pass PDF. `holder` has full_name, usn, college_name,
+ * college_code, department, application_id and issued_at; `photo` is a
+ * JPEG/PNG buffer or null. Resolves to a Buffer.
+ */
+const renderPassPdf = async (holder, token, photo) => {
+  const qr = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+
+  const doc = new PDFDocument({ size: 'A6', margin: 20 });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - 40;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(EVENT_NAME, 20, 20, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(8).text('PARTICIPANT PASS', { width, align: 'center' });
+
+  // Photo on the left, details on the right
+  const top = 62;
+  if (photo) {
+    doc.image(photo, 20, top, { fit: [80, 100], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(20, top, 80, 100).stroke();
+    doc.fontSize(7).text('No photo on file', 20, top + 45, { width: 80, align: 'center' });
+  }
+
+  const detailsX = 110;
+  const detailsWidth = doc.page.width - detailsX - 20;
+  doc.font('Helvetica-Bold').fontSize(11).text(holder.full_name, detailsX, top, { width: detailsWidth });
+  doc.font('Helvetica').fontSize(9)
+    .text(`USN: ${holder.usn}`, { width: detailsWidth })
+    .text(holder.college_name || holder.college_code, { width: detailsWidth });
+  if (holder.department) {
+    doc.text(holder.department, { width: detailsWidth });
+  }
+  doc.fontSize(7).fillColor('#555555')
+    .text(`Application ${holder.application_id}`, { width: detailsWidth })
+    .fillColor('#000000');
+
+  const qrSize = 150;
+  doc.image(qr, (doc.page.width - qrSize) / 2, top + 115, { width: qrSize });
+
+  doc.fontSize(7).text(
+    `Issued ${new Date(holder.issued_at).toISOString().slice(0, 10)}. Valid only with a matching photo ID.`,
+    20,
+    doc.page.height - 40,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  generatePassCode,
+  signPass,
+  verifyPassToken,
+  renderPassPdf,
+};
@@ -0,0 +1,134 @@
+/**
+ * Per-action request quotas, counted in the rate_limits table so every
+ * function instance shares them.
+ *
+ * Each action is limited per scope: `ip` (the caller's address) and/or
+ * `student` (the signed-in student). A quota is `{ limit, window_seconds }`
+ * over a fixed window. RATE_LIMITS (JSON) overrides the defaults per action
+ * and scope, e.g.
+ *
+ *   RATE_LIMITS='{"check_usn":{"ip":{"limit":60,"window_seconds":600}}}'
+ *
+ * Set a scope to null to turn it off.
+ */
+const { ERRORS } = require('./errors');
+const { rateLimits } = require('./repositories');
+
+const DEFAULT_QUOTAS = {
+  // Unauthenticated, so the IP is all there is to key on
+  check_usn: {
+    ip: { limit: 30, window_seconds: 10 * 60 },
+  },
+  // Each call opens a session and signs a fresh set of upload URLs
+  init_application: {
+    student: { limit: 10, window_seconds: 60 * 60 },
+    ip: { limit: 60, window_seconds: 60 * 60 },
+  },
+};
+
+let quotas;
+
+/**
+ * Defaults merged with RATE_LIMITS, read once per process.
+ */
+const getQuotas = () => {
+  if (quotas) return quotas;
+
+  let configured = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      configured = JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+      throw new Error(`RATE_LIMITS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  quotas = {};
+  for (const action of new Set([...Object.keys(DEFAULT_QUOTAS), ...Object.keys(configured)])) {
+    quotas[action] = { ...DEFAULT_QUOTAS[action], ...configured[action] };
+
+    for (const [scope, quota] of Object.entries(quotas[action])) {
+      if (quota === null) continue;
+      if (!(quota.limit > 0) || !(quota.window_seconds > 0)) {
+        throw new Error(`RATE_LIMITS ${action}.${scope} needs a positive limit and window_seconds`);
+      }
+    }
+  }
+
+  return quotas;
+};
+
+/**
+ * The longest window of any quota, in seconds. A bucket whose window
+ * started longer ago than this is stale for every action.
+ */
+const getLongestWindowSeconds = () => Math.max(
+  0,
+  ...Object.values(getQuotas()).flatMap((scopes) =>
+    Object.values(scopes).filter(Boolean).map((quota) => quota.window_seconds)
+  )
+);
+
+// Bucket for requests without Netlify's client IP header. They all share
+// it: keying on X-Forwarded-For would let a caller pick a fresh bucket for
+// every request.
+const UNKNOWN_IP = 'unknown';
+
+/**
+ * Client IP from the header Netlify sets on every request, or null.
+ * X-Forwarded-For is ignored as the client controls it.
+ */
+const getClientIp = (event) => {
+  const eventHeaders = event.headers || {};
+  return eventHeaders['x-nf-client-connection-ip'] || null;
+};
+
+/**
+ * Count a request for `action` against each scope in `subjects`
+ * (`{ ip, student }`; a missing student is skipped, a missing IP counts
+ * against the shared unknown bucket). Returns
+ * `{ limited: false }`, or `{ limited: true, retry_after }` in seconds when
+ * any scope is over its quota.
+ */
+const consume = async (executor, action, subjects) => {
+  const actionQuotas = getQuotas()[action] || {};
+  let retry_after = 0;
+
+  for (const [scope, quota] of Object.entries(actionQuotas)) {
+    const subject = scope === 'ip' ? subjects.ip || UNKNOWN_IP : subjects[scope];
+    if (!quota || subject === undefined || subject === null) continue;
+
+    const bucket = await rateLimits.hit(executor, `${action}:${scope}:${subject}`, quota.window_seconds);
+    if (bucket.request_count > quota.limit) {
+      const resetsAt = new Date(bucket.window_start).getTime() + quota.window_seconds * 1000;
+      retry_after = Math.max(retry_after, Math.ceil((resetsAt - Date.now()) / 1000), 1);
+    }
+  }
+
+  return retry_after > 0 ? { limited: true, retry_after } : { limited: false };
+};
+
+/**
+ * 429 response with Retry-After, exposed so browser code can read it.
+ * `code` is RATE_LIMITED unless another 429 from the catalogue fits better.
+ */
+const tooManyRequestsResponse = (headers, retry_after, message = ERRORS.RATE_LIMITED.message, code = 'RATE_LIMITED') => ({
+  statusCode: 429,
+  headers: {
+    ...headers,
+    'Retry-After': String(retry_after),
+    'Access-Control-Expose-Headers': 'Retry-After',
+  },
+  body: JSON.stringify({
+    error: message,
+    code,
+    retry_after,
+  }),
+});
+
+module.exports = {
+  getLongestWindowSeconds,
+  getClientIp,
+  consume,
+  tooManyRequestsResponse,
+};
@@ -0,0 +1,410 @@
+const { sql } = require('../../dbConfig');
+
+// Bind a list of ids as @id0, @id1, ... for an IN (...) clause
+const bindIds = (request, ids) => {
+  ids.forEach((id, i) => request.input(`id${i}`, sql.Int, id));
+  return ids.map((_, i) => `@id${i}`).join(', ');
+};
+
+const bindForm = (request, app) => {
+  return request
+    .input('blood_group', sql.VarChar(5), app.blood_group)
+    .input('address', sql.VarChar(500), app.address)
+    .input('department', sql.VarChar(100), app.department)
+    .input('year_of_study', sql.Int, app.year_of_study)
+    .input('semester', sql.Int, app.semester)
+    .input('college_code', sql.VarChar(20), app.college_code)
+    .input('attempt_no', sql.Int, app.attempt_no);
+};
+
+// ============================================================================
+// Lookups
+// ============================================================================
+
+const findById = async (executor, application_id) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .query(`
+      SELECT application_id, student_id, college_code, attempt_no, status
+      FROM student_applications
+      WHERE application_id = @application_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * The student's newest application, or null. With `forUpdate` the row is
+ * locked until the surrounding transaction ends.
+ */
+const findLatestByStudent = async (executor, student_id, { forUpdate = false } = {}) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT TOP 1 application_id, status, attempt_no
+      FROM student_applications ${forUpdate ? 'WITH (UPDLOCK, HOLDLOCK)' : ''}
+      WHERE student_id = @student_id
+      ORDER BY application_id DESC
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Newest application plus the student's reapply_count, for status screens.
+ */
+const findStatusForStudent = async (executor, student_id) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT TOP 1
+        sa.application_id,
+        sa.status,
+        sa.submitted_at,
+        sa.rejected_reason,
+        sa.reviewed_at,
+        sa.attempt_no,
+        s.reapply_count
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      WHERE sa.student_id = @student_id
+      ORDER BY sa.application_id DESC
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Application with the student's contact details, for notifications.
+ */
+const findWithStudent = async (executor, application_id) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .query(`
+      SELECT
+        sa.application_id,
+        sa.status,
+        sa.attempt_no,
+        sa.college_code,
+        sa.rejected_reason,
+        s.student_id,
+        s.college_id,
+        s.usn,
+        s.full_name,
+        s.email,
+        s.reapply_count
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      WHERE sa.application_id = @application_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Status and claiming reviewer, scoped to one college.
+ */
+const findStatusForCollege = async (executor, application_id, college_code) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('college_code', sql.VarChar(20), college_code)
+    .query(`
+      SELECT application_id, status, reviewed_by
+      FROM student_applications
+      WHERE application_id = @application_id AND college_code = @college_code
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const findDetailForCollege = async (executor, application_id, college_code) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('college_code', sql.VarChar(20), college_code)
+    .query(`
+      SELECT
+        sa.application_id,
+        sa.status,
+        sa.blood_group,
+        sa.address,
+        sa.department,
+        sa.year_of_study,
+        sa.semester,
+        sa.submitted_at,
+        sa.reviewed_at,
+        sa.reviewed_by,
+        sa.rejected_reason,
+        sa.organiser_remarks,
+        sa.attempt_no,
+        s.student_id,
+        s.usn,
+        s.full_name,
+        s.email,
+        s.reapply_count
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      WHERE sa.application_id = @application_id AND sa.college_code = @college_code
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * SUBMITTED and UNDER_REVIEW applications of one college, oldest first.
+ */
+const listPendingForCollege = async (executor, college_code) => {
+  const result = await executor
+    .request()
+    .input('college_code', sql.VarChar(20), college_code)
+    .query(`
+      SELECT
+        sa.application_id,
+        sa.status,
+        sa.submitted_at,
+        sa.department,
+        sa.year_of_study,
+        sa.semester,
+        sa.reviewed_by,
+        sa.organiser_remarks,
+        s.usn,
+        s.full_name,
+        s.reapply_count
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      WHERE sa.college_code = @college_code
+        AND sa.status IN ('SUBMITTED', 'UNDER_REVIEW')
+      ORDER BY sa.submitted_at ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * One page of applications in a status, optionally for one college.
+ * Returns `{ rows, total }`.
+ */
+const listByStatus = async (executor, { status, college_code = null, offset, limit }) => {
+  const result = await executor
+    .request()
+    .input('status', sql.VarChar(20), status)
+    .input('college_code', sql.VarChar(20), college_code)
+    .input('offset', sql.Int, offset)
+    .input('page_size', sql.Int, limit)
+    .query(`
+      SELECT
+        sa.application_id,
+        sa.college_code,
+        sa.department,
+        sa.year_of_study,
+        sa.submitted_at,
+        sa.reviewed_at,
+        sa.reviewed_by,
+        s.usn,
+        s.full_name,
+        COUNT(*) OVER () AS total
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      WHERE sa.status = @status
+        AND (@college_code IS NULL OR sa.college_code = @college_code)
+      ORDER BY sa.reviewed_at ASC, sa.application_id ASC
+      OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY
+    `);
+
+  return {
+    rows: result.recordset.map(({ total: _total, ...app }) => app),
+    total: result.recordset.length > 0 ? result.recordset[0].total : 0,
+  };
+};
+
+const findStatuses = async (executor, ids) => {
+  if (ids.length === 0) return [];
+
+  const request = executor.request();
+  const placeholders = bindIds(request, ids);
+  const result = await request.query(`
+    SELECT application_id, status
+    FROM student_applications
+    WHERE application_id IN (${placeholders})
+  `);
+
+  return result.recordset;
+};
+
+const countForCollege = async (executor, college_code) => {
+  const result = await executor
+    .request()
+    .input('college_code', sql.VarChar(20), college_code)
+    .query(`
+      SELECT COUNT(*) AS count
+      FROM student_applications
+      WHERE college_code = @college_code
+    `);
+
+  return result.recordset[0].count;
+};
+
+// ============================================================================
+// Student submission
+// ============================================================================
+
+/**
+ * Insert a SUBMITTED application; returns its application_id.
+ */
+const create = async (executor, app) => {
+  const request = bindForm(executor.request(), app).input('student_id', sql.Int, app.student_id);
+  const result = await request.query(`
+    INSERT INTO student_applications (
+      student_id, blood_group, address, department, year_of_study, semester, college_code, attempt_no, status, submitted_at
+    )
+    OUTPUT INSERTED.application_id
+    VALUES (
+      @student_id, @blood_group, @address, @department, @year_of_study, @semester, @college_code, @attempt_no, 'SUBMITTED', SYSUTCDATETIME()
+    )
+  `);
+
+  return result.recordset[0].application_id;
+};
+
+/**
+ * Overwrite a REJECTED application with a new attempt and set it back to
+ * SUBMITTED. The previous review outcome lives on in the status history.
+ */
+const resubmit = async (executor, application_id, app) => {
+  const request = bindForm(executor.request(), app).input('application_id', sql.Int, application_id);
+  await request.query(`
+    UPDATE student_applications
+    SET
+      blood_group = @blood_group,
+      address = @address,
+      department = @department,
+      year_of_study = @year_of_study,
+      semester = @semester,
+      college_code = @college_code,
+      attempt_no = @attempt_no,
+      status = 'SUBMITTED',
+      submitted_at = SYSUTCDATETIME(),
+      rejected_reason = NULL,
+      reviewed_at = NULL,
+      reviewed_by = NULL,
+      organiser_remarks = NULL
+    WHERE application_id = @application_id
+  `);
+};
+
+// ============================================================================
+// Status transitions
+// Each is a conditional UPDATE that returns the previous status, or null
+// if the application was not in the expected state.
+// ============================================================================
+
+/**
+ * SUBMITTED -> UNDER_REVIEW, claimed by one reviewer.
+ */
+const claimForReview = async (executor, { application_id, college_code, reviewer_id }) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('college_code', sql.VarChar(20), college_code)
+    .input('reviewer_id', sql.Int, reviewer_id)
+    .query(`
+      UPDATE student_applications
+      SET status = 'UNDER_REVIEW', reviewed_by = @reviewer_id
+      OUTPUT DELETED.status AS from_status
+      WHERE application_id = @application_id
+        AND college_code = @college_code
+        AND status = 'SUBMITTED'
+    `);
+
+  return result.recordset.length > 0 ? result.recordset[0].from_status : null;
+};
+
+/**
+ * UNDER_REVIEW -> APPROVED or REJECTED, only by the claiming reviewer.
+ */
+const recordReviewDecision = async (executor, { application_id, college_code, reviewer_id, status, rejected_reason = null }) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('college_code', sql.VarChar(20), college_code)
+    .input('reviewer_id', sql.Int, reviewer_id)
+    .input('status', sql.VarChar(20), status)
+    .input('rejected_reason', sql.NVarChar(1000), rejected_reason)
+    .query(`
+      UPDATE student_applications
+      SET status = @status, reviewed_at = SYSUTCDATETIME(), rejected_reason = @rejected_reason
+      OUTPUT DELETED.status AS from_status
+      WHERE application_id = @application_id
+        AND college_code = @college_code
+        AND status = 'UNDER_REVIEW'
+        AND reviewed_by = @reviewer_id
+    `);
+
+  return result.recordset.length > 0 ? result.recordset[0].from_status : null;
+};
+
+/**
+ * Bulk APPROVED -> FINAL_APPROVED. Returns `[{ application_id, from_status }]`
+ * for the rows that were promoted.
+ */
+const finalApprove = async (executor, ids, organiser_id) => {
+  const request = executor.request().input('organiser_id', sql.Int, organiser_id);
+  const placeholders = bindIds(request, ids);
+  const result = await request.query(`
+    UPDATE student_applications
+    SET
+      status = 'FINAL_APPROVED',
+      final_approved_at = SYSUTCDATETIME(),
+      final_approved_by = @organiser_id
+    OUTPUT INSERTED.application_id, DELETED.status AS from_status
+    WHERE application_id IN (${placeholders})
+      AND status = 'APPROVED'
+  `);
+
+  return result.recordset;
+};
+
+/**
+ * Bulk APPROVED -> UNDER_REVIEW. reviewed_by is kept so each application
+ * lands back in the queue of the reviewer who approved it.
+ */
+const sendBackToReviewer = async (executor, ids, remarks) => {
+  const request = executor.request().input('remarks', sql.NVarChar(1000), remarks);
+  const placeholders = bindIds(request, ids);
+  const result = await request.query(`
+    UPDATE student_applications
+    SET
+      status = 'UNDER_REVIEW',
+      reviewed_at = NULL,
+      organiser_remarks = @remarks
+    OUTPUT INSERTED.application_id, DELETED.status AS from_status
+    WHERE application_id IN (${placeholders})
+      AND status = 'APPROVED'
+  `);
+
+  return result.recordset;
+};
+
+module.exports = {
+  findById,
+  findLatestByStudent,
+  findStatusForStudent,
+  findWithStudent,
+  findStatusForCollege,
+  findDetailForCollege,
+  listPendingForCollege,
+  listByStatus,
+  findStatuses,
+  countForCollege,
+  create,
+  resubmit,
+  claimForReview,
+  recordReviewDecision,
+  finalApprove,
+  sendBackToReviewer,
+};
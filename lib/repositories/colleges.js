@@ -0,0 +1,141 @@
+const { sql } = require('../../dbConfig');
+
+// Escape LIKE wildcards so a search for "50%" matches literally
+const escapeLike = (text) => text.replace(/[\\%_[]/g, '\\$&');
+
+const findActiveById = async (executor, college_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT college_id, college_name, college_code, usn_code, place
+      FROM colleges
+      WHERE college_id = @college_id AND is_active = 1
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * One page of colleges whose name, code or place contains `search`.
+ * Returns `{ rows, total }`.
+ */
+const list = async (executor, { search = null, active_only = true, offset, limit }) => {
+  const result = await executor
+    .request()
+    .input('search', sql.NVarChar(200), search === null ? null : escapeLike(search))
+    .input('active_only', sql.Bit, active_only)
+    .input('offset', sql.Int, offset)
+    .input('page_size', sql.Int, limit)
+    .query(`
+      SELECT
+        college_id,
+        college_name,
+        college_code,
+        usn_code,
+        place,
+        is_active,
+        COUNT(*) OVER () AS total
+      FROM colleges
+      WHERE (@active_only = 0 OR is_active = 1)
+        AND (
+          @search IS NULL
+          OR college_name LIKE '%' + @search + '%' ESCAPE '\\'
+          OR college_code LIKE '%' + @search + '%' ESCAPE '\\'
+          OR place LIKE '%' + @search + '%' ESCAPE '\\'
+        )
+      ORDER BY college_name ASC, college_id ASC
+      OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY
+    `);
+
+  return {
+    rows: result.recordset.map(({ total: _total, ...college }) => college),
+    total: result.recordset.length > 0 ? result.recordset[0].total : 0,
+  };
+};
+
+const findById = async (executor, college_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT college_id, college_name, college_code, usn_code, place, is_active, created_at
+      FROM colleges
+      WHERE college_id = @college_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const create = async (executor, college) => {
+  const result = await executor
+    .request()
+    .input('college_name', sql.NVarChar(200), college.college_name)
+    .input('college_code', sql.VarChar(20), college.college_code)
+    .input('usn_code', sql.VarChar(10), college.usn_code)
+    .input('place', sql.NVarChar(100), college.place)
+    .query(`
+      INSERT INTO colleges (college_name, college_code, usn_code, place, is_active, created_at)
+      OUTPUT INSERTED.college_id, INSERTED.college_name, INSERTED.college_code,
+        INSERTED.usn_code, INSERTED.place, INSERTED.is_active
+      VALUES (@college_name, @college_code, @usn_code, @place, 1, SYSUTCDATETIME())
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Patch name, codes and place. A missing (or null) name or code is left
+ * unchanged; for the optional usn_code and place, a missing key leaves the
+ * value and null clears it. Returns the updated college, or null if it
+ * does not exist.
+ */
+const update = async (executor, college_id, changes) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .input('college_name', sql.NVarChar(200), changes.college_name)
+    .input('college_code', sql.VarChar(20), changes.college_code)
+    .input('usn_code', sql.VarChar(10), changes.usn_code)
+    .input('set_usn_code', sql.Bit, changes.usn_code !== undefined)
+    .input('place', sql.NVarChar(100), changes.place)
+    .input('set_place', sql.Bit, changes.place !== undefined)
+    .query(`
+      UPDATE colleges
+      SET
+        college_name = COALESCE(@college_name, college_name),
+        college_code = COALESCE(@college_code, college_code),
+        usn_code = CASE WHEN @set_usn_code = 1 THEN @usn_code ELSE usn_code END,
+        place = CASE WHEN @set_place = 1 THEN @place ELSE place END
+      OUTPUT INSERTED.college_id, INSERTED.college_name, INSERTED.college_code,
+        INSERTED.usn_code, INSERTED.place, INSERTED.is_active
+      WHERE college_id = @college_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const setActive = async (executor, college_id, is_active) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .input('is_active', sql.Bit, is_active)
+    .query(`
+      UPDATE colleges
+      SET is_active = @is_active
+      OUTPUT INSERTED.college_id, INSERTED.college_name, INSERTED.college_code,
+        INSERTED.usn_code, INSERTED.place, INSERTED.is_active
+      WHERE college_id = @college_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+module.exports = {
+  findActiveById,
+  list,
+  findById,
+  create,
+  update,
+  setActive,
+};
@@ -0,0 +1,78 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Active departments of one college, alphabetically.
+ */
+const listActiveForCollege = async (executor, college_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT department_id, department_name
+      FROM college_departments
+      WHERE college_id = @college_id AND is_active = 1
+      ORDER BY department_name ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Every department of one college, including inactive ones, for admins.
+ */
+const listForCollege = async (executor, college_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT department_id, college_id, department_name, is_active
+      FROM college_departments
+      WHERE college_id = @college_id
+      ORDER BY department_name ASC
+    `);
+
+  return result.recordset;
+};
+
+const create = async (executor, department) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, department.college_id)
+    .input('department_name', sql.VarChar(100), department.department_name)
+    .query(`
+      INSERT INTO college_departments (college_id, department_name, is_active, created_at)
+      OUTPUT INSERTED.department_id, INSERTED.college_id, INSERTED.department_name, INSERTED.is_active
+      VALUES (@college_id, @department_name, 1, SYSUTCDATETIME())
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Rename and/or (de)activate a department; null leaves a field unchanged.
+ * Returns the updated department, or null if it does not exist.
+ */
+const update = async (executor, department_id, changes) => {
+  const result = await executor
+    .request()
+    .input('department_id', sql.Int, department_id)
+    .input('department_name', sql.VarChar(100), changes.department_name)
+    .input('is_active', sql.Bit, changes.is_active)
+    .query(`
+      UPDATE college_departments
+      SET
+        department_name = COALESCE(@department_name, department_name),
+        is_active = COALESCE(@is_active, is_active)
+      OUTPUT INSERTED.department_id, INSERTED.college_id, INSERTED.department_name, INSERTED.is_active
+      WHERE department_id = @department_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+module.exports = {
+  listActiveForCollege,
+  listForCollege,
+  create,
+  update,
+};
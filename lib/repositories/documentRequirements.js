@@ -0,0 +1,145 @@
+const { sql } = require('../../dbConfig');
+
+const REQUIREMENT_COLUMNS = `
+  requirement_id, document_type, blob_name, label, is_required, allowed_types,
+  max_bytes, sort_order, college_id, season, is_active
+`;
+
+// allowed_types is stored comma-separated
+const toRequirement = ({ allowed_types, ...row }) => ({
+  ...row,
+  allowed_types: allowed_types.split(',').map((type) => type.trim()).filter(Boolean),
+});
+
+/**
+ * The documents a student of `college_id` uploads in `season` (null for
+ * none): for each document_type the most specific row wins - college and
+ * season, then college, then season, then the general row - and inactive
+ * winners are dropped. In upload order.
+ */
+const listEffective = async (executor, { college_id, season }) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .input('season', sql.VarChar(20), season)
+    .query(`
+      WITH ranked AS (
+        SELECT
+          ${REQUIREMENT_COLUMNS},
+          ROW_NUMBER() OVER (
+            PARTITION BY document_type
+            ORDER BY
+              CASE WHEN college_id IS NULL THEN 0 ELSE 2 END
+              + CASE WHEN season IS NULL THEN 0 ELSE 1 END DESC
+          ) AS specificity_rank
+        FROM document_requirements
+        WHERE (college_id IS NULL OR college_id = @college_id)
+          AND (season IS NULL OR season = @season)
+      )
+      SELECT ${REQUIREMENT_COLUMNS}
+      FROM ranked
+      WHERE specificity_rank = 1 AND is_active = 1
+      ORDER BY sort_order ASC, document_type ASC
+    `);
+
+  return result.recordset.map(toRequirement);
+};
+
+/**
+ * Every configured row, general rows first; pass college_id to see only
+ * the general rows and that college's overrides.
+ */
+const list = async (executor, { college_id = null } = {}) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT ${REQUIREMENT_COLUMNS}
+      FROM document_requirements
+      WHERE @college_id IS NULL OR college_id IS NULL OR college_id = @college_id
+      ORDER BY sort_order ASC, document_type ASC, college_id ASC, season ASC
+    `);
+
+  return result.recordset.map(toRequirement);
+};
+
+const findById = async (executor, requirement_id) => {
+  const result = await executor
+    .request()
+    .input('requirement_id', sql.Int, requirement_id)
+    .query(`
+      SELECT ${REQUIREMENT_COLUMNS}
+      FROM document_requirements
+      WHERE requirement_id = @requirement_id
+    `);
+
+  return result.recordset.length > 0 ? toRequirement(result.recordset[0]) : null;
+};
+
+const create = async (executor, requirement) => {
+  const result = await executor
+    .request()
+    .input('document_type', sql.VarChar(50), requirement.document_type)
+    .input('blob_name', sql.VarChar(50), requirement.blob_name)
+    .input('label', sql.NVarChar(200), requirement.label)
+    .input('is_required', sql.Bit, requirement.is_required)
+    .input('allowed_types', sql.VarChar(200), requirement.allowed_types.join(','))
+    .input('max_bytes', sql.Int, requirement.max_bytes)
+    .input('sort_order', sql.Int, requirement.sort_order)
+    .input('college_id', sql.Int, requirement.college_id)
+    .input('season', sql.VarChar(20), requirement.season)
+    .query(`
+      INSERT INTO document_requirements (
+        document_type, blob_name, label, is_required, allowed_types, max_bytes,
+        sort_order, college_id, season, is_active, created_at
+      )
+      OUTPUT INSERTED.requirement_id
+      VALUES (
+        @document_type, @blob_name, @label, @is_required, @allowed_types, @max_bytes,
+        @sort_order, @college_id, @season, 1, SYSUTCDATETIME()
+      )
+    `);
+
+  return findById(executor, result.recordset[0].requirement_id);
+};
+
+/**
+ * Patch a requirement; null leaves a field unchanged. The scope
+ * (document_type, college_id, season) cannot change. Returns the updated
+ * row, or null if it does not exist.
+ */
+const update = async (executor, requirement_id, patch) => {
+  const result = await executor
+    .request()
+    .input('requirement_id', sql.Int, requirement_id)
+    .input('blob_name', sql.VarChar(50), patch.blob_name)
+    .input('label', sql.NVarChar(200), patch.label)
+    .input('is_required', sql.Bit, patch.is_required)
+    .input('allowed_types', sql.VarChar(200), patch.allowed_types ? patch.allowed_types.join(',') : null)
+    .input('max_bytes', sql.Int, patch.max_bytes)
+    .input('sort_order', sql.Int, patch.sort_order)
+    .input('is_active', sql.Bit, patch.is_active)
+    .query(`
+      UPDATE document_requirements
+      SET
+        blob_name = COALESCE(@blob_name, blob_name),
+        label = COALESCE(@label, label),
+        is_required = COALESCE(@is_required, is_required),
+        allowed_types = COALESCE(@allowed_types, allowed_types),
+        max_bytes = COALESCE(@max_bytes, max_bytes),
+        sort_order = COALESCE(@sort_order, sort_order),
+        is_active = COALESCE(@is_active, is_active)
+      OUTPUT INSERTED.requirement_id
+      WHERE requirement_id = @requirement_id
+    `);
+
+  return result.recordset.length > 0 ? findById(executor, requirement_id) : null;
+};
+
+module.exports = {
+  listEffective,
+  list,
+  findById,
+  create,
+  update,
+};
@@ -0,0 +1,99 @@
+const { sql } = require('../../dbConfig');
+
+const create = async (executor, document) => {
+  await executor
+    .request()
+    .input('application_id', sql.Int, document.application_id)
+    .input('document_type', sql.VarChar(50), document.document_type)
+    .input('document_url', sql.VarChar(500), document.document_url)
+    .input('attempt_no', sql.Int, document.attempt_no)
+    .query(`
+      INSERT INTO application_documents (application_id, document_type, document_url, attempt_no, uploaded_at)
+      VALUES (@application_id, @document_type, @document_url, @attempt_no, SYSUTCDATETIME())
+    `);
+};
+
+/**
+ * Documents of an application, oldest attempt first. Pass an attempt_no
+ * to restrict to one attempt, or null for every attempt.
+ */
+const listByApplication = async (executor, application_id, attempt_no = null) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('attempt_no', sql.Int, attempt_no)
+    .query(`
+      SELECT document_id, document_type, document_url, attempt_no, uploaded_at
+      FROM application_documents
+      WHERE application_id = @application_id
+        AND (@attempt_no IS NULL OR attempt_no = @attempt_no)
+      ORDER BY attempt_no ASC, document_id ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Documents of the current attempt of each listed application.
+ */
+const listCurrentForApplications = async (executor, application_ids) => {
+  if (application_ids.length === 0) return [];
+
+  const result = await executor
+    .request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(application_ids))
+    .query(`
+      SELECT d.document_id, d.application_id, d.document_type, d.document_url, d.attempt_no
+      FROM application_documents d
+      INNER JOIN student_applications sa
+        ON d.application_id = sa.application_id AND d.attempt_no = sa.attempt_no
+      WHERE d.application_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      ORDER BY d.application_id ASC, d.document_id ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Record read links handed out: one document_access_log row per
+ * `{ application_id, document_id }`, all for the same actor.
+ */
+const logAccess = async (executor, entries, { actor_role, actor_id, client_ip }) => {
+  if (entries.length === 0) return;
+
+  await executor
+    .request()
+    .input('entries', sql.NVarChar(sql.MAX), JSON.stringify(entries))
+    .input('actor_role', sql.VarChar(20), actor_role)
+    .input('actor_id', sql.Int, actor_id)
+    .input('client_ip', sql.VarChar(45), client_ip)
+    .query(`
+      INSERT INTO document_access_log (
+        application_id, document_id, actor_role, actor_id, client_ip, accessed_at
+      )
+      SELECT application_id, document_id, @actor_role, @actor_id, @client_ip, SYSUTCDATETIME()
+      FROM OPENJSON(@entries) WITH (application_id INT, document_id INT)
+    `);
+};
+
+/**
+ * Every stored document URL, across all applications and attempts.
+ */
+const listAllUrls = async (executor) => {
+  const result = await executor
+    .request()
+    .query(`
+      SELECT DISTINCT document_url
+      FROM application_documents
+    `);
+
+  return result.recordset.map((row) => row.document_url);
+};
+
+module.exports = {
+  create,
+  listByApplication,
+  listCurrentForApplications,
+  logAccess,
+  listAllUrls,
+};
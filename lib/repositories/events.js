@@ -0,0 +1,374 @@
+const { sql } = require('../../dbConfig');
+
+const EVENT_COLUMNS = `
+  e.event_id, e.event_name, e.description, e.participation_type, e.min_team_size,
+  e.max_team_size, e.slots_per_college, e.venue, e.starts_at, e.ends_at,
+  e.registration_closes_at, e.is_active
+`;
+
+const bindEvent = (request, event) => {
+  return request
+    .input('event_name', sql.NVarChar(200), event.event_name)
+    .input('description', sql.NVarChar(2000), event.description)
+    .input('participation_type', sql.VarChar(10), event.participation_type)
+    .input('min_team_size', sql.Int, event.min_team_size)
+    .input('max_team_size', sql.Int, event.max_team_size)
+    .input('slots_per_college', sql.Int, event.slots_per_college)
+    .input('venue', sql.NVarChar(200), event.venue)
+    .input('starts_at', sql.DateTime2, event.starts_at)
+    .input('ends_at', sql.DateTime2, event.ends_at)
+    .input('registration_closes_at', sql.DateTime2, event.registration_closes_at);
+};
+
+// ============================================================================
+// Catalogue
+// ============================================================================
+
+/**
+ * Events in schedule order, with how many entries each has in total.
+ */
+const list = async (executor, { active_only }) => {
+  const result = await executor
+    .request()
+    .input('active_only', sql.Bit, active_only)
+    .query(`
+      SELECT
+        ${EVENT_COLUMNS},
+        (SELECT COUNT(*) FROM event_registrations r WHERE r.event_id = e.event_id) AS registration_count
+      FROM fest_events e
+      WHERE @active_only = 0 OR e.is_active = 1
+      ORDER BY e.starts_at ASC, e.event_id ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Active events as one student sees them: the entries their college has
+ * used and the student's own registration, if any.
+ */
+const listForStudent = async (executor, student_id, college_id) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT
+        ${EVENT_COLUMNS},
+        (
+          SELECT COUNT(*) FROM event_registrations r
+          WHERE r.event_id = e.event_id AND r.college_id = @college_id
+        ) AS college_registrations,
+        m.registration_id,
+        m.is_lead
+      FROM fest_events e
+      LEFT JOIN event_registration_members m
+        ON m.event_id = e.event_id AND m.student_id = @student_id
+      WHERE e.is_active = 1
+      ORDER BY e.starts_at ASC, e.event_id ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * With `forUpdate` the event row is locked until the transaction ends, so
+ * registrations for one event queue up behind each other.
+ */
+const findById = async (executor, event_id, { forUpdate = false } = {}) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .query(`
+      SELECT ${EVENT_COLUMNS}
+      FROM fest_events e ${forUpdate ? 'WITH (UPDLOCK, HOLDLOCK)' : ''}
+      WHERE e.event_id = @event_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const create = async (executor, event) => {
+  const result = await bindEvent(executor.request(), event).query(`
+    INSERT INTO fest_events (
+      event_name, description, participation_type, min_team_size, max_team_size,
+      slots_per_college, venue, starts_at, ends_at, registration_closes_at, is_active, created_at
+    )
+    OUTPUT INSERTED.event_id
+    VALUES (
+      @event_name, @description, @participation_type, @min_team_size, @max_team_size,
+      @slots_per_college, @venue, @starts_at, @ends_at, @registration_closes_at, 1, SYSUTCDATETIME()
+    )
+  `);
+
+  return findById(executor, result.recordset[0].event_id);
+};
+
+/**
+ * Overwrite every editable column; callers merge a patch into the current
+ * event first so the whole row is validated together.
+ */
+const update = async (executor, event_id, event) => {
+  await bindEvent(executor.request(), event)
+    .input('event_id', sql.Int, event_id)
+    .query(`
+      UPDATE fest_events
+      SET
+        event_name = @event_name,
+        description = @description,
+        participation_type = @participation_type,
+        min_team_size = @min_team_size,
+        max_team_size = @max_team_size,
+        slots_per_college = @slots_per_college,
+        venue = @venue,
+        starts_at = @starts_at,
+        ends_at = @ends_at,
+        registration_closes_at = @registration_closes_at
+      WHERE event_id = @event_id
+    `);
+
+  return findById(executor, event_id);
+};
+
+const setActive = async (executor, event_id, is_active) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('is_active', sql.Bit, is_active)
+    .query(`
+      UPDATE fest_events
+      SET is_active = @is_active
+      OUTPUT INSERTED.event_id, INSERTED.event_name, INSERTED.is_active
+      WHERE event_id = @event_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Students by USN with their college and the status of their newest
+ * application (null if they never applied).
+ */
+const findParticipantsByUsns = async (executor, usns) => {
+  const result = await executor
+    .request()
+    .input('usns', sql.NVarChar(sql.MAX), JSON.stringify(usns))
+    .query(`
+      SELECT s.student_id, s.usn, s.full_name, s.college_id, latest.status AS application_status
+      FROM students s
+      OUTER APPLY (
+        SELECT TOP 1 sa.status
+        FROM student_applications sa
+        WHERE sa.student_id = s.student_id
+        ORDER BY sa.application_id DESC
+      ) latest
+      WHERE s.usn IN (SELECT CAST(value AS VARCHAR(50)) FROM OPENJSON(@usns))
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Entries one college already has in an event. Run in the registration
+ * transaction after locking the event with findById({ forUpdate }).
+ */
+const countForCollege = async (executor, event_id, college_id) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT COUNT(*) AS count
+      FROM event_registrations
+      WHERE event_id = @event_id AND college_id = @college_id
+    `);
+
+  return result.recordset[0].count;
+};
+
+/**
+ * Which of `student_ids` are already in an entry for the event.
+ */
+const findRegisteredStudents = async (executor, event_id, student_ids) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(student_ids))
+    .query(`
+      SELECT student_id
+      FROM event_registration_members
+      WHERE event_id = @event_id
+        AND student_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+    `);
+
+  return result.recordset.map((row) => row.student_id);
+};
+
+/**
+ * Lock the students' rows until the transaction ends. Clash checks span
+ * events, so the event lock alone does not stop two registrations for
+ * different events from both passing findClashes for the same student.
+ */
+const lockStudents = async (executor, student_ids) => {
+  await executor
+    .request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(student_ids))
+    .query(`
+      SELECT student_id
+      FROM students WITH (UPDLOCK, HOLDLOCK)
+      WHERE student_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+    `);
+};
+
+/**
+ * Other active events `student_ids` are registered for whose schedule
+ * overlaps [starts_at, ends_at); a deactivated event no longer takes
+ * anyone's time. Returns `[{ student_id, event_id, event_name }]`.
+ */
+const findClashes = async (executor, { event_id, starts_at, ends_at, student_ids }) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('starts_at', sql.DateTime2, starts_at)
+    .input('ends_at', sql.DateTime2, ends_at)
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(student_ids))
+    .query(`
+      SELECT m.student_id, e.event_id, e.event_name
+      FROM event_registration_members m
+      INNER JOIN fest_events e ON m.event_id = e.event_id
+      WHERE m.student_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+        AND e.event_id <> @event_id
+        AND e.is_active = 1
+        AND e.starts_at < @ends_at
+        AND e.ends_at > @starts_at
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Create an entry with its members (`[{ student_id, is_lead }]`); returns
+ * the registration_id.
+ */
+const register = async (executor, { event_id, college_id, lead_student_id, team_name, members }) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('college_id', sql.Int, college_id)
+    .input('lead_student_id', sql.Int, lead_student_id)
+    .input('team_name', sql.NVarChar(100), team_name)
+    .input('members', sql.NVarChar(sql.MAX), JSON.stringify(members))
+    .query(`
+      DECLARE @created TABLE (registration_id INT);
+
+      INSERT INTO event_registrations (event_id, college_id, lead_student_id, team_name, registered_at)
+      OUTPUT INSERTED.registration_id INTO @created
+      VALUES (@event_id, @college_id, @lead_student_id, @team_name, SYSUTCDATETIME());
+
+      INSERT INTO event_registration_members (registration_id, event_id, student_id, is_lead)
+      SELECT c.registration_id, @event_id, m.student_id, m.is_lead
+      FROM @created c
+      CROSS JOIN OPENJSON(@members) WITH (student_id INT, is_lead BIT) m;
+
+      SELECT registration_id FROM @created;
+    `);
+
+  return result.recordset[0].registration_id;
+};
+
+/**
+ * Delete the entry a student leads in an event, members included. Returns
+ * false if they lead no entry there.
+ */
+const withdraw = async (executor, event_id, lead_student_id) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('lead_student_id', sql.Int, lead_student_id)
+    .query(`
+      DECLARE @registration_id INT = (
+        SELECT registration_id FROM event_registrations
+        WHERE event_id = @event_id AND lead_student_id = @lead_student_id
+      );
+
+      DELETE FROM event_registration_members WHERE registration_id = @registration_id;
+      DELETE FROM event_registrations OUTPUT DELETED.registration_id WHERE registration_id = @registration_id;
+    `);
+
+  return result.recordset.length > 0;
+};
+
+/**
+ * Entries with their members (lead first), in schedule order. Filter by
+ * event, college and/or member student.
+ */
+const listRegistrations = async (executor, { event_id = null, college_id = null, student_id = null }) => {
+  const result = await executor
+    .request()
+    .input('event_id', sql.Int, event_id)
+    .input('college_id', sql.Int, college_id)
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT
+        r.registration_id,
+        r.event_id,
+        e.event_name,
+        e.starts_at,
+        e.ends_at,
+        e.venue,
+        r.college_id,
+        c.college_code,
+        c.college_name,
+        r.team_name,
+        r.registered_at,
+        s.student_id,
+        s.usn,
+        s.full_name,
+        m.is_lead
+      FROM event_registrations r
+      INNER JOIN fest_events e ON r.event_id = e.event_id
+      INNER JOIN colleges c ON r.college_id = c.college_id
+      INNER JOIN event_registration_members m ON m.registration_id = r.registration_id
+      INNER JOIN students s ON m.student_id = s.student_id
+      WHERE (@event_id IS NULL OR r.event_id = @event_id)
+        AND (@college_id IS NULL OR r.college_id = @college_id)
+        AND (@student_id IS NULL OR r.registration_id IN (
+          SELECT registration_id FROM event_registration_members WHERE student_id = @student_id
+        ))
+      ORDER BY e.starts_at ASC, r.event_id ASC, c.college_code ASC, r.registration_id ASC, m.is_lead DESC, s.usn ASC
+    `);
+
+  const registrations = [];
+  let current = null;
+
+  for (const { student_id, usn, full_name, is_lead, ...registration } of result.recordset) {
+    if (!current || current.registration_id !== registration.registration_id) {
+      current = { ...registration, members: [] };
+      registrations.push(current);
+    }
+    current.members.push({ student_id, usn, full_name, is_lead });
+  }
+
+  return registrations;
+};
+
+module.exports = {
+  list,
+  listForStudent,
+  findById,
+  create,
+  update,
+  setActive,
+  findParticipantsByUsns,
+  countForCollege,
+  findRegisteredStudents,
+  lockStudents,
+  findClashes,
+  register,
+  withdraw,
+  listRegistrations,
+};
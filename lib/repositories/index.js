@@ -0,0 +1,24 @@
+/**
+ * Data access for the portal's core tables. Every repository function takes
+ * an `executor` first - the shared pool from dbConfig.getPool() or a
+ * transaction from withTransaction() - so callers decide atomicity.
+ */
+module.exports = {
+  applications: require('./applications'),
+  colleges: require('./colleges'),
+  departments: require('./departments'),
+  documentRequirements: require('./documentRequirements'),
+  documents: require('./documents'),
+  events: require('./events'),
+  organisers: require('./organisers'),
+  outbox: require('./outbox'),
+  passes: require('./passes'),
+  passwordResets: require('./passwordResets'),
+  policies: require('./policies'),
+  rateLimits: require('./rateLimits'),
+  reports: require('./reports'),
+  reviewers: require('./reviewers'),
+  roster: require('./roster'),
+  sessions: require('./sessions'),
+  students: require('./students'),
+};
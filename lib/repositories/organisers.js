@@ -0,0 +1,22 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Active organiser by email. Includes password_hash - only for credential
+ * checks.
+ */
+const findCredentialsByEmail = async (executor, email) => {
+  const result = await executor
+    .request()
+    .input('email', sql.VarChar(255), email)
+    .query(`
+      SELECT organiser_id, full_name, password_hash
+      FROM organisers
+      WHERE email = @email AND is_active = 1
+    `);
+
+  return result.recordset[0] || null;
+};
+
+module.exports = {
+  findCredentialsByEmail,
+};
@@ -0,0 +1,95 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Queue a rendered email; returns its notification_id.
+ */
+const enqueue = async (executor, notification) => {
+  const result = await executor
+    .request()
+    .input('template', sql.VarChar(50), notification.template)
+    .input('application_id', sql.Int, notification.application_id)
+    .input('recipient', sql.VarChar(255), notification.recipient)
+    .input('subject', sql.NVarChar(300), notification.subject)
+    .input('body_text', sql.NVarChar(sql.MAX), notification.text)
+    .input('body_html', sql.NVarChar(sql.MAX), notification.html)
+    .query(`
+      INSERT INTO notification_outbox (
+        template, application_id, recipient, subject, body_text, body_html,
+        status, attempts, next_attempt_at, created_at
+      )
+      OUTPUT INSERTED.notification_id
+      VALUES (
+        @template, @application_id, @recipient, @subject, @body_text, @body_html,
+        'PENDING', 0, SYSUTCDATETIME(), SYSUTCDATETIME()
+      )
+    `);
+
+  return result.recordset[0].notification_id;
+};
+
+/**
+ * Lease up to `limit` due notifications for sending, optionally only the
+ * given ids. A leased row is SENDING until `lease_minutes` pass; if the
+ * sender dies in between, it becomes due again. READPAST lets concurrent
+ * dispatchers take different rows.
+ */
+const claimDue = async (executor, { limit, lease_minutes, ids = null }) => {
+  const result = await executor
+    .request()
+    .input('limit', sql.Int, limit)
+    .input('lease_minutes', sql.Int, lease_minutes)
+    .input('ids', sql.NVarChar(sql.MAX), ids ? JSON.stringify(ids) : null)
+    .query(`
+      UPDATE TOP (@limit) notification_outbox WITH (ROWLOCK, READPAST)
+      SET
+        status = 'SENDING',
+        attempts = attempts + 1,
+        next_attempt_at = DATEADD(MINUTE, @lease_minutes, SYSUTCDATETIME())
+      OUTPUT INSERTED.notification_id, INSERTED.template, INSERTED.recipient,
+        INSERTED.subject, INSERTED.body_text, INSERTED.body_html, INSERTED.attempts
+      WHERE status IN ('PENDING', 'SENDING')
+        AND next_attempt_at <= SYSUTCDATETIME()
+        AND (@ids IS NULL OR notification_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids)))
+    `);
+
+  return result.recordset;
+};
+
+const markSent = async (executor, notification_id, provider_message_id) => {
+  await executor
+    .request()
+    .input('notification_id', sql.Int, notification_id)
+    .input('provider_message_id', sql.VarChar(255), provider_message_id)
+    .query(`
+      UPDATE notification_outbox
+      SET status = 'SENT', sent_at = SYSUTCDATETIME(), provider_message_id = @provider_message_id, last_error = NULL
+      WHERE notification_id = @notification_id
+    `);
+};
+
+/**
+ * Record a failed send: retry at `retry_at`, or give up (FAILED) when
+ * `retry_at` is null.
+ */
+const markFailed = async (executor, notification_id, error_message, retry_at) => {
+  await executor
+    .request()
+    .input('notification_id', sql.Int, notification_id)
+    .input('last_error', sql.NVarChar(1000), error_message.slice(0, 1000))
+    .input('retry_at', sql.DateTime2, retry_at)
+    .query(`
+      UPDATE notification_outbox
+      SET
+        status = CASE WHEN @retry_at IS NULL THEN 'FAILED' ELSE 'PENDING' END,
+        next_attempt_at = COALESCE(@retry_at, next_attempt_at),
+        last_error = @last_error
+      WHERE notification_id = @notification_id
+    `);
+};
+
+module.exports = {
+  enqueue,
+  claimDue,
+  markSent,
+  markFailed,
+};
@@ -0,0 +1,111 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * An application with its student, college and pass (pass columns are null
+ * if none was issued), plus how often the pass has been accepted at a gate.
+ */
+const findByApplication = async (executor, application_id) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .query(`
+      SELECT
+        sa.application_id,
+        sa.student_id,
+        sa.status,
+        sa.attempt_no,
+        sa.department,
+        sa.year_of_study,
+        s.usn,
+        s.full_name,
+        c.college_code,
+        c.college_name,
+        p.pass_id,
+        p.pass_code,
+        p.issued_at,
+        p.revoked_at,
+        p.revoked_reason,
+        (
+          SELECT COUNT(*) FROM pass_checkins pc WHERE pc.pass_id = p.pass_id AND pc.accepted = 1
+        ) AS checkin_count,
+        (
+          SELECT MAX(pc.checked_at) FROM pass_checkins pc WHERE pc.pass_id = p.pass_id AND pc.accepted = 1
+        ) AS last_checked_in_at
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      LEFT JOIN colleges c ON sa.college_code = c.college_code
+      LEFT JOIN participant_passes p ON p.application_id = sa.application_id
+      WHERE sa.application_id = @application_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Issue a pass for an application unless it already has one. Returns the
+ * application's pass either way: `{ pass_id, pass_code, issued_at, revoked_at }`.
+ */
+const issue = async (executor, application_id, pass_code) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('pass_code', sql.VarChar(32), pass_code)
+    .query(`
+      IF NOT EXISTS (
+        SELECT 1 FROM participant_passes WITH (UPDLOCK, HOLDLOCK)
+        WHERE application_id = @application_id
+      )
+        INSERT INTO participant_passes (application_id, pass_code, issued_at)
+        VALUES (@application_id, @pass_code, SYSUTCDATETIME());
+
+      SELECT pass_id, pass_code, issued_at, revoked_at
+      FROM participant_passes
+      WHERE application_id = @application_id;
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Revoke an application's live pass. Returns the revoked pass, or null if
+ * there is no pass or it was already revoked.
+ */
+const revoke = async (executor, application_id, organiser_id, reason) => {
+  const result = await executor
+    .request()
+    .input('application_id', sql.Int, application_id)
+    .input('organiser_id', sql.Int, organiser_id)
+    .input('reason', sql.NVarChar(500), reason)
+    .query(`
+      UPDATE participant_passes
+      SET revoked_at = SYSUTCDATETIME(), revoked_by = @organiser_id, revoked_reason = @reason
+      OUTPUT INSERTED.pass_id, INSERTED.application_id, INSERTED.revoked_at, INSERTED.revoked_reason
+      WHERE application_id = @application_id AND revoked_at IS NULL
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const recordCheckin = async (executor, checkin) => {
+  const result = await executor
+    .request()
+    .input('pass_id', sql.Int, checkin.pass_id)
+    .input('organiser_id', sql.Int, checkin.organiser_id)
+    .input('gate', sql.NVarChar(50), checkin.gate)
+    .input('accepted', sql.Bit, checkin.accepted)
+    .input('reason', sql.NVarChar(200), checkin.reason)
+    .query(`
+      INSERT INTO pass_checkins (pass_id, organiser_id, gate, accepted, reason, checked_at)
+      OUTPUT INSERTED.checkin_id, INSERTED.checked_at
+      VALUES (@pass_id, @organiser_id, @gate, @accepted, @reason, SYSUTCDATETIME())
+    `);
+
+  return result.recordset[0];
+};
+
+module.exports = {
+  findByApplication,
+  issue,
+  revoke,
+  recordCheckin,
+};
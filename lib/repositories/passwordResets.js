@@ -0,0 +1,57 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Spend every unused reset token of a student, so only the next one
+ * issued is valid.
+ */
+const invalidateForStudent = async (executor, student_id) => {
+  await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      UPDATE password_reset_tokens
+      SET used_at = SYSUTCDATETIME()
+      WHERE student_id = @student_id AND used_at IS NULL
+    `);
+};
+
+/**
+ * Store a reset token; only its SHA-256 hash is ever kept.
+ */
+const create = async (executor, { student_id, token_hash, expires_at }) => {
+  await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .input('token_hash', sql.Char(64), token_hash)
+    .input('expires_at', sql.DateTime2, expires_at)
+    .query(`
+      INSERT INTO password_reset_tokens (student_id, token_hash, expires_at, created_at)
+      VALUES (@student_id, @token_hash, @expires_at, SYSUTCDATETIME())
+    `);
+};
+
+/**
+ * Mark an unused, unexpired token used in one statement, so it can only
+ * be used once. Returns its student_id, or null if the token is not valid.
+ */
+const consume = async (executor, token_hash) => {
+  const result = await executor
+    .request()
+    .input('token_hash', sql.Char(64), token_hash)
+    .query(`
+      UPDATE password_reset_tokens
+      SET used_at = SYSUTCDATETIME()
+      OUTPUT INSERTED.student_id
+      WHERE token_hash = @token_hash
+        AND used_at IS NULL
+        AND expires_at > SYSUTCDATETIME()
+    `);
+
+  return result.recordset.length > 0 ? result.recordset[0].student_id : null;
+};
+
+module.exports = {
+  invalidateForStudent,
+  create,
+  consume,
+};
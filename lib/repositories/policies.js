@@ -0,0 +1,86 @@
+const { sql } = require('../../dbConfig');
+
+const POLICY_COLUMNS = `
+  policy_id, college_id, opens_at, closes_at, max_reapplications, session_minutes, updated_at, updated_by
+`;
+
+/**
+ * The general policy row and, if it has one, the college's row:
+ * `{ general, college }` (either may be null).
+ */
+const findForCollege = async (executor, college_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .query(`
+      SELECT ${POLICY_COLUMNS}
+      FROM application_policies
+      WHERE college_id IS NULL OR college_id = @college_id
+    `);
+
+  return {
+    general: result.recordset.find((row) => row.college_id === null) || null,
+    college: result.recordset.find((row) => row.college_id !== null) || null,
+  };
+};
+
+/**
+ * Every policy row, general first, with the college's code and name.
+ */
+const list = async (executor) => {
+  const result = await executor
+    .request()
+    .query(`
+      SELECT
+        p.policy_id, p.college_id, c.college_code, c.college_name, p.opens_at, p.closes_at,
+        p.max_reapplications, p.session_minutes, p.updated_at, p.updated_by
+      FROM application_policies p
+      LEFT JOIN colleges c ON p.college_id = c.college_id
+      ORDER BY CASE WHEN p.college_id IS NULL THEN 0 ELSE 1 END, c.college_code ASC
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Insert or overwrite the policy row for `college_id` (null for the
+ * general policy). Returns the stored row.
+ */
+const upsert = async (executor, college_id, policy, organiser_id) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .input('opens_at', sql.DateTime2, policy.opens_at)
+    .input('closes_at', sql.DateTime2, policy.closes_at)
+    .input('max_reapplications', sql.Int, policy.max_reapplications)
+    .input('session_minutes', sql.Int, policy.session_minutes)
+    .input('organiser_id', sql.Int, organiser_id)
+    .query(`
+      MERGE application_policies WITH (HOLDLOCK) AS target
+      USING (SELECT @college_id AS college_id) AS source
+      ON target.college_id = source.college_id
+        OR (target.college_id IS NULL AND source.college_id IS NULL)
+      WHEN MATCHED THEN
+        UPDATE SET
+          opens_at = @opens_at,
+          closes_at = @closes_at,
+          max_reapplications = @max_reapplications,
+          session_minutes = @session_minutes,
+          updated_at = SYSUTCDATETIME(),
+          updated_by = @organiser_id
+      WHEN NOT MATCHED THEN
+        INSERT (college_id, opens_at, closes_at, max_reapplications, session_minutes, updated_at, updated_by)
+        VALUES (@college_id, @opens_at, @closes_at, @max_reapplications, @session_minutes, SYSUTCDATETIME(), @organiser_id)
+      OUTPUT
+        INSERTED.policy_id, INSERTED.college_id, INSERTED.opens_at, INSERTED.closes_at,
+        INSERTED.max_reapplications, INSERTED.session_minutes, INSERTED.updated_at, INSERTED.updated_by;
+    `);
+
+  return result.recordset[0];
+};
+
+module.exports = {
+  findForCollege,
+  list,
+  upsert,
+};
@@ -0,0 +1,75 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Count one request against a bucket and return the bucket's state after
+ * it: `{ request_count, window_start }`. A bucket whose window is older
+ * than `window_seconds` starts a fresh window. Atomic across instances.
+ */
+const hit = async (executor, bucket_key, window_seconds) => {
+  const result = await executor
+    .request()
+    .input('bucket_key', sql.VarChar(200), bucket_key)
+    .input('window_seconds', sql.Int, window_seconds)
+    .query(`
+      MERGE rate_limits WITH (HOLDLOCK) AS target
+      USING (SELECT @bucket_key AS bucket_key) AS source
+      ON target.bucket_key = source.bucket_key
+      WHEN MATCHED THEN
+        UPDATE SET
+          request_count = CASE
+            WHEN target.window_start > DATEADD(SECOND, -@window_seconds, SYSUTCDATETIME())
+              THEN target.request_count + 1
+            ELSE 1
+          END,
+          window_start = CASE
+            WHEN target.window_start > DATEADD(SECOND, -@window_seconds, SYSUTCDATETIME())
+              THEN target.window_start
+            ELSE SYSUTCDATETIME()
+          END
+      WHEN NOT MATCHED THEN
+        INSERT (bucket_key, window_start, request_count)
+        VALUES (@bucket_key, SYSUTCDATETIME(), 1)
+      OUTPUT INSERTED.request_count, INSERTED.window_start;
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Buckets whose window started before `window_start_before`.
+ */
+const countStale = async (executor, window_start_before) => {
+  const result = await executor
+    .request()
+    .input('window_start_before', sql.DateTime2, window_start_before)
+    .query(`
+      SELECT COUNT(*) AS count
+      FROM rate_limits
+      WHERE window_start < @window_start_before
+    `);
+
+  return result.recordset[0].count;
+};
+
+/**
+ * Delete up to `limit` buckets whose window started before
+ * `window_start_before`. Returns how many went.
+ */
+const deleteStale = async (executor, window_start_before, limit) => {
+  const result = await executor
+    .request()
+    .input('window_start_before', sql.DateTime2, window_start_before)
+    .input('limit', sql.Int, limit)
+    .query(`
+      DELETE TOP (@limit) FROM rate_limits
+      WHERE window_start < @window_start_before
+    `);
+
+  return result.rowsAffected[0];
+};
+
+module.exports = {
+  hit,
+  countStale,
+  deleteStale,
+};
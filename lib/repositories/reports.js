@@ -0,0 +1,116 @@
+const { sql } = require('../../dbConfig');
+
+const toDate = (text) => (text ? new Date(`${text}T00:00:00Z`) : null);
+
+// Filters shared by the summary and the export; null means "any". Dates are
+// YYYY-MM-DD (UTC) and submitted_to includes the whole day.
+const bindFilters = (request, filters) => {
+  return request
+    .input('college_code', sql.VarChar(20), filters.college_code || null)
+    .input('status', sql.VarChar(20), filters.status || null)
+    .input('department', sql.VarChar(100), filters.department || null)
+    .input('year_of_study', sql.Int, filters.year_of_study || null)
+    .input('submitted_from', sql.Date, toDate(filters.submitted_from))
+    .input('submitted_to', sql.Date, toDate(filters.submitted_to));
+};
+
+const FILTER_WHERE = `
+  (@college_code IS NULL OR sa.college_code = @college_code)
+  AND (@status IS NULL OR sa.status = @status)
+  AND (@department IS NULL OR sa.department = @department)
+  AND (@year_of_study IS NULL OR sa.year_of_study = @year_of_study)
+  AND (@submitted_from IS NULL OR sa.submitted_at >= @submitted_from)
+  AND (@submitted_to IS NULL OR sa.submitted_at < DATEADD(DAY, 1, CAST(@submitted_to AS DATETIME2)))
+`;
+
+/**
+ * Application counts by status, college_code, department, year_of_study
+ * and blood_group, plus the total, in one pass. Returns
+ * `{ total, by_status: [{ value, count }], by_college_code: [...], ... }`
+ * with the largest groups first.
+ */
+const summarize = async (executor, filters) => {
+  const result = await bindFilters(executor.request(), filters).query(`
+    SELECT
+      CASE
+        WHEN GROUPING(sa.status) = 0 THEN 'status'
+        WHEN GROUPING(sa.college_code) = 0 THEN 'college_code'
+        WHEN GROUPING(sa.department) = 0 THEN 'department'
+        WHEN GROUPING(sa.year_of_study) = 0 THEN 'year_of_study'
+        WHEN GROUPING(sa.blood_group) = 0 THEN 'blood_group'
+        ELSE 'total'
+      END AS dimension,
+      COALESCE(sa.status, sa.college_code, sa.department, CAST(sa.year_of_study AS VARCHAR(10)), sa.blood_group) AS value,
+      COUNT(*) AS count
+    FROM student_applications sa
+    WHERE ${FILTER_WHERE}
+    GROUP BY GROUPING SETS (
+      (sa.status), (sa.college_code), (sa.department), (sa.year_of_study), (sa.blood_group), ()
+    )
+    ORDER BY dimension, count DESC, value
+  `);
+
+  const summary = {
+    total: 0,
+    by_status: [],
+    by_college_code: [],
+    by_department: [],
+    by_year_of_study: [],
+    by_blood_group: [],
+  };
+
+  for (const { dimension, value, count } of result.recordset) {
+    if (dimension === 'total') {
+      summary.total = count;
+    } else if (dimension === 'year_of_study') {
+      summary.by_year_of_study.push({ value: value === null ? null : parseInt(value, 10), count });
+    } else {
+      summary[`by_${dimension}`].push({ value, count });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Matching applications with student and college details, oldest first.
+ * Fetches at most `limit` rows; `truncated` says whether more matched.
+ */
+const listForExport = async (executor, filters, { limit }) => {
+  const result = await bindFilters(executor.request(), filters)
+    .input('limit', sql.Int, limit + 1)
+    .query(`
+      SELECT TOP (@limit)
+        sa.application_id,
+        s.usn,
+        s.full_name,
+        s.email,
+        sa.college_code,
+        c.college_name,
+        sa.department,
+        sa.year_of_study,
+        sa.semester,
+        sa.blood_group,
+        sa.status,
+        sa.attempt_no,
+        sa.submitted_at,
+        sa.reviewed_at,
+        sa.final_approved_at,
+        sa.rejected_reason
+      FROM student_applications sa
+      INNER JOIN students s ON sa.student_id = s.student_id
+      LEFT JOIN colleges c ON sa.college_code = c.college_code
+      WHERE ${FILTER_WHERE}
+      ORDER BY sa.submitted_at ASC, sa.application_id ASC
+    `);
+
+  return {
+    rows: result.recordset.slice(0, limit),
+    truncated: result.recordset.length > limit,
+  };
+};
+
+module.exports = {
+  summarize,
+  listForExport,
+};
@@ -0,0 +1,23 @@
+const { sql } = require('../../dbConfig');
+
+/**
+ * Active reviewer with their college's code. Includes password_hash - only
+ * for credential checks.
+ */
+const findCredentialsByEmail = async (executor, email) => {
+  const result = await executor
+    .request()
+    .input('email', sql.VarChar(255), email)
+    .query(`
+      SELECT r.reviewer_id, r.college_id, r.full_name, r.password_hash, c.college_code
+      FROM college_reviewers r
+      INNER JOIN colleges c ON r.college_id = c.college_id
+      WHERE r.email = @email AND r.is_active = 1
+    `);
+
+  return result.recordset[0] || null;
+};
+
+module.exports = {
+  findCredentialsByEmail,
+};
@@ -0,0 +1,89 @@
+const { sql } = require('../../dbConfig');
+
+const findByUsn = async (executor, usn) => {
+  const result = await executor
+    .request()
+    .input('usn', sql.VarChar(50), usn)
+    .query(`
+      SELECT roster_id, college_id, usn, full_name, email, department
+      FROM student_roster
+      WHERE usn = @usn
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Roster rows for a batch of USNs, with the owning college's code, so an
+ * import can tell new, updated and cross-college entries apart.
+ */
+const findByUsns = async (executor, usns) => {
+  if (usns.length === 0) return [];
+
+  // Passed as one JSON array instead of thousands of parameters
+  const result = await executor
+    .request()
+    .input('usns', sql.NVarChar(sql.MAX), JSON.stringify(usns))
+    .query(`
+      SELECT r.usn, r.college_id, c.college_code
+      FROM student_roster r
+      INNER JOIN colleges c ON r.college_id = c.college_id
+      WHERE r.usn IN (SELECT CAST(value AS VARCHAR(50)) FROM OPENJSON(@usns))
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Insert new entries and refresh ones already on this college's roster, in
+ * one statement. USNs rostered at another college are left untouched and
+ * returned in `skipped`. Returns `{ inserted, updated, skipped }`.
+ */
+const upsertMany = async (executor, college_id, entries, importer) => {
+  const result = await executor
+    .request()
+    .input('college_id', sql.Int, college_id)
+    .input('entries', sql.NVarChar(sql.MAX), JSON.stringify(entries))
+    .input('imported_by_role', sql.VarChar(20), importer.role)
+    .input('imported_by_id', sql.Int, importer.id)
+    .query(`
+      MERGE student_roster WITH (HOLDLOCK) AS target
+      USING (
+        SELECT usn, full_name, email, department
+        FROM OPENJSON(@entries) WITH (
+          usn VARCHAR(50) '$.usn',
+          full_name VARCHAR(150) '$.full_name',
+          email VARCHAR(255) '$.email',
+          department VARCHAR(100) '$.department'
+        )
+      ) AS source
+      ON target.usn = source.usn
+      WHEN MATCHED AND target.college_id = @college_id THEN
+        UPDATE SET
+          full_name = source.full_name,
+          email = source.email,
+          department = source.department,
+          imported_by_role = @imported_by_role,
+          imported_by_id = @imported_by_id,
+          updated_at = SYSUTCDATETIME()
+      WHEN NOT MATCHED THEN
+        INSERT (college_id, usn, full_name, email, department, imported_by_role, imported_by_id, imported_at, updated_at)
+        VALUES (@college_id, source.usn, source.full_name, source.email, source.department,
+          @imported_by_role, @imported_by_id, SYSUTCDATETIME(), SYSUTCDATETIME())
+      OUTPUT $action AS merge_action, INSERTED.usn;
+    `);
+
+  const written = new Set(result.recordset.map((row) => row.usn));
+
+  return {
+    inserted: result.recordset.filter((row) => row.merge_action === 'INSERT').length,
+    updated: result.recordset.filter((row) => row.merge_action === 'UPDATE').length,
+    skipped: entries.map((entry) => entry.usn).filter((usn) => !written.has(usn)),
+  };
+};
+
+module.exports = {
+  findByUsn,
+  findByUsns,
+  upsertMany,
+};
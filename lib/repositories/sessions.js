@@ -0,0 +1,256 @@
+const { sql } = require('../../dbConfig');
+
+const DRAFT_COLUMNS = `
+  session_id, student_id, application_id, expires_at, attempt_no, college_code,
+  consumed_at, blood_group, address, department, year_of_study, semester, updated_at
+`;
+
+/**
+ * Open an application session holding the form draft.
+ */
+const create = async (executor, session) => {
+  await executor
+    .request()
+    .input('session_id', sql.VarChar(64), session.session_id)
+    .input('student_id', sql.Int, session.student_id)
+    .input('expires_at', sql.DateTime2, session.expires_at)
+    .input('attempt_no', sql.Int, session.attempt_no)
+    .input('college_code', sql.VarChar(20), session.college_code)
+    .input('blood_group', sql.VarChar(5), session.blood_group)
+    .input('address', sql.VarChar(500), session.address)
+    .input('department', sql.VarChar(100), session.department)
+    .input('year_of_study', sql.Int, session.year_of_study)
+    .input('semester', sql.Int, session.semester)
+    .query(`
+      INSERT INTO application_sessions (
+        session_id, student_id, application_id, expires_at, attempt_no, college_code,
+        blood_group, address, department, year_of_study, semester, updated_at
+      )
+      VALUES (
+        @session_id, @student_id, NULL, @expires_at, @attempt_no, @college_code,
+        @blood_group, @address, @department, @year_of_study, @semester, SYSUTCDATETIME()
+      )
+    `);
+};
+
+const findForStudent = async (executor, session_id, student_id) => {
+  const result = await executor
+    .request()
+    .input('session_id', sql.VarChar(64), session_id)
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT ${DRAFT_COLUMNS}
+      FROM application_sessions
+      WHERE session_id = @session_id AND student_id = @student_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * The student's newest session that is neither expired nor finalized.
+ */
+const findOpenForStudent = async (executor, student_id) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT TOP 1 ${DRAFT_COLUMNS}
+      FROM application_sessions
+      WHERE student_id = @student_id
+        AND consumed_at IS NULL
+        AND expires_at > SYSUTCDATETIME()
+      ORDER BY expires_at DESC
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * How many of the student's sessions are neither expired nor finalized, and
+ * when the first of them expires. Run inside the transaction that creates
+ * the next session: the range lock makes concurrent opens queue up.
+ */
+const countOpenForStudent = async (executor, student_id) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT COUNT(*) AS open_count, MIN(expires_at) AS next_expiry
+      FROM application_sessions WITH (UPDLOCK, HOLDLOCK)
+      WHERE student_id = @student_id
+        AND consumed_at IS NULL
+        AND expires_at > SYSUTCDATETIME()
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Patch draft fields; null leaves a field unchanged. Returns the updated
+ * draft, or null if the session is not open.
+ */
+const updateDraft = async (executor, session_id, student_id, draft) => {
+  const result = await executor
+    .request()
+    .input('session_id', sql.VarChar(64), session_id)
+    .input('student_id', sql.Int, student_id)
+    .input('blood_group', sql.VarChar(5), draft.blood_group)
+    .input('address', sql.VarChar(500), draft.address)
+    .input('department', sql.VarChar(100), draft.department)
+    .input('year_of_study', sql.Int, draft.year_of_study)
+    .input('semester', sql.Int, draft.semester)
+    .query(`
+      UPDATE application_sessions
+      SET
+        blood_group = COALESCE(@blood_group, blood_group),
+        address = COALESCE(@address, address),
+        department = COALESCE(@department, department),
+        year_of_study = COALESCE(@year_of_study, year_of_study),
+        semester = COALESCE(@semester, semester),
+        updated_at = SYSUTCDATETIME()
+      OUTPUT INSERTED.blood_group, INSERTED.address, INSERTED.department,
+        INSERTED.year_of_study, INSERTED.semester
+      WHERE session_id = @session_id
+        AND student_id = @student_id
+        AND consumed_at IS NULL
+        AND expires_at > SYSUTCDATETIME()
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Atomically mark a session consumed. Run inside the finalize transaction:
+ * a concurrent claim of the same session blocks on the row lock and then
+ * matches nothing. Returns true if this caller won.
+ */
+const claim = async (transaction, session_id, student_id) => {
+  const result = await transaction
+    .request()
+    .input('session_id', sql.VarChar(64), session_id)
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      UPDATE application_sessions WITH (UPDLOCK, ROWLOCK)
+      SET consumed_at = SYSUTCDATETIME()
+      OUTPUT INSERTED.session_id
+      WHERE session_id = @session_id
+        AND student_id = @student_id
+        AND consumed_at IS NULL
+        AND expires_at > SYSUTCDATETIME()
+    `);
+
+  return result.recordset.length > 0;
+};
+
+const linkApplication = async (executor, session_id, application_id) => {
+  await executor
+    .request()
+    .input('session_id', sql.VarChar(64), session_id)
+    .input('application_id', sql.Int, application_id)
+    .query(`
+      UPDATE application_sessions
+      SET application_id = @application_id
+      WHERE session_id = @session_id
+    `);
+};
+
+/**
+ * application_id a consumed session produced, or null.
+ */
+const findFinalizedApplicationId = async (executor, session_id, student_id) => {
+  const result = await executor
+    .request()
+    .input('session_id', sql.VarChar(64), session_id)
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT application_id
+      FROM application_sessions
+      WHERE session_id = @session_id
+        AND student_id = @student_id
+        AND consumed_at IS NOT NULL
+        AND application_id IS NOT NULL
+    `);
+
+  return result.recordset.length > 0 ? result.recordset[0].application_id : null;
+};
+
+// ============================================================================
+// Cleanup
+// ============================================================================
+
+/**
+ * Attempt folders students may still upload into or finalize from:
+ * `[{ college_code, usn, attempt_no }]` for every open session.
+ */
+const listOpenAttempts = async (executor) => {
+  const result = await executor
+    .request()
+    .query(`
+      SELECT DISTINCT a.college_code, s.usn, COALESCE(a.attempt_no, 1) AS attempt_no
+      FROM application_sessions a
+      INNER JOIN students s ON a.student_id = s.student_id
+      WHERE a.consumed_at IS NULL
+        AND a.expires_at > SYSUTCDATETIME()
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Sessions that expired before `expired_before`, split into abandoned
+ * (never finalized) and finalized ones.
+ */
+const countExpired = async (executor, expired_before) => {
+  const result = await executor
+    .request()
+    .input('expired_before', sql.DateTime2, expired_before)
+    .query(`
+      SELECT
+        COUNT(CASE WHEN consumed_at IS NULL THEN 1 END) AS abandoned,
+        COUNT(CASE WHEN consumed_at IS NOT NULL THEN 1 END) AS finalized
+      FROM application_sessions
+      WHERE expires_at < @expired_before
+    `);
+
+  return result.recordset[0];
+};
+
+/**
+ * Delete up to `limit` sessions that expired before `expired_before`.
+ * Returns how many abandoned and finalized sessions went.
+ */
+const deleteExpired = async (executor, expired_before, limit) => {
+  const result = await executor
+    .request()
+    .input('expired_before', sql.DateTime2, expired_before)
+    .input('limit', sql.Int, limit)
+    .query(`
+      DECLARE @deleted TABLE (consumed_at DATETIME2 NULL);
+
+      DELETE TOP (@limit) FROM application_sessions
+      OUTPUT DELETED.consumed_at INTO @deleted
+      WHERE expires_at < @expired_before;
+
+      SELECT
+        COUNT(CASE WHEN consumed_at IS NULL THEN 1 END) AS abandoned,
+        COUNT(CASE WHEN consumed_at IS NOT NULL THEN 1 END) AS finalized
+      FROM @deleted;
+    `);
+
+  return result.recordset[0];
+};
+
+module.exports = {
+  create,
+  findForStudent,
+  findOpenForStudent,
+  countOpenForStudent,
+  updateDraft,
+  claim,
+  linkApplication,
+  findFinalizedApplicationId,
+  listOpenAttempts,
+  countExpired,
+  deleteExpired,
+};
@@ -0,0 +1,133 @@
+const { sql } = require('../../dbConfig');
+
+const usnExists = async (executor, usn) => {
+  const result = await executor
+    .request()
+    .input('usn', sql.VarChar(50), usn)
+    .query(`
+      SELECT student_id
+      FROM students
+      WHERE usn = @usn
+    `);
+
+  return result.recordset.length > 0;
+};
+
+/**
+ * Students matching either the USN or the email; used to report which
+ * one is already taken at registration.
+ */
+const findByUsnOrEmail = async (executor, usn, email) => {
+  const result = await executor
+    .request()
+    .input('usn', sql.VarChar(50), usn)
+    .input('email', sql.VarChar(255), email)
+    .query(`
+      SELECT student_id, usn, email
+      FROM students
+      WHERE usn = @usn OR email = @email
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Includes password_hash - only for credential checks.
+ */
+const findCredentialsByUsn = async (executor, usn) => {
+  const result = await executor
+    .request()
+    .input('usn', sql.VarChar(50), usn)
+    .query(`
+      SELECT student_id, usn, college_id, full_name, password_hash
+      FROM students
+      WHERE usn = @usn
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const findByEmail = async (executor, email) => {
+  const result = await executor
+    .request()
+    .input('email', sql.VarChar(255), email)
+    .query(`
+      SELECT student_id, usn, college_id, full_name, email
+      FROM students
+      WHERE email = @email
+    `);
+
+  return result.recordset[0] || null;
+};
+
+/**
+ * Student with their college's code and current reapply_count.
+ */
+const findWithCollege = async (executor, student_id) => {
+  const result = await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      SELECT s.student_id, s.usn, s.college_id, s.reapply_count, c.college_code
+      FROM students s
+      INNER JOIN colleges c ON s.college_id = c.college_id
+      WHERE s.student_id = @student_id
+    `);
+
+  return result.recordset[0] || null;
+};
+
+const create = async (executor, student) => {
+  const result = await executor
+    .request()
+    .input('usn', sql.VarChar(50), student.usn)
+    .input('college_id', sql.Int, student.college_id)
+    .input('full_name', sql.VarChar(150), student.full_name)
+    .input('email', sql.VarChar(255), student.email)
+    .input('password_hash', sql.VarChar(100), student.password_hash)
+    .query(`
+      INSERT INTO students (
+        usn, college_id, full_name, email, password_hash, reapply_count, created_at
+      )
+      OUTPUT INSERTED.student_id, INSERTED.usn, INSERTED.college_id
+      VALUES (
+        @usn, @college_id, @full_name, @email, @password_hash, 0, SYSUTCDATETIME()
+      )
+    `);
+
+  return result.recordset[0];
+};
+
+const updatePassword = async (executor, student_id, password_hash) => {
+  await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .input('password_hash', sql.VarChar(100), password_hash)
+    .query(`
+      UPDATE students
+      SET password_hash = @password_hash
+      WHERE student_id = @student_id
+    `);
+};
+
+const incrementReapplyCount = async (executor, student_id) => {
+  await executor
+    .request()
+    .input('student_id', sql.Int, student_id)
+    .query(`
+      UPDATE students
+      SET reapply_count = reapply_count + 1
+      WHERE student_id = @student_id
+    `);
+};
+
+module.exports = {
+  usnExists,
+  findByUsnOrEmail,
+  findCredentialsByUsn,
+  findByEmail,
+  findWithCollege,
+  create,
+  updatePassword,
+  incrementReapplyCount,
+};
@@ -0,0 +1,131 @@
+/**
+ * University Seat Number formats and decoding.
+ *
+ * The default format is VTU style: region digit, two-letter college code,
+ * two-digit admission year, branch letters and a three-digit roll number,
+ * e.g. 1RV21CS001. Other universities can be added through USN_FORMATS, a
+ * JSON array of `{ "name": ..., "pattern": ... }` whose regex must capture
+ * `college` and `year` and may capture `branch` and `roll`:
+ *
+ *   USN_FORMATS='[{"name":"VTU","pattern":"^[1-4](?<college>[A-Z]{2})(?<year>\\d{2})(?<branch>[A-Z]{2,3})(?<roll>\\d{3})$"}]'
+ *
+ * USN_BRANCHES (JSON object of code -> name) adds to or overrides the branch
+ * names below.
+ */
+
+const DEFAULT_FORMATS = [
+  {
+    name: 'VTU',
+    pattern: '^[1-4](?<college>[A-Z]{2})(?<year>\\d{2})(?<branch>[A-Z]{2,3})(?<roll>\\d{3})$',
+  },
+];
+
+const DEFAULT_BRANCHES = {
+  AD: 'Artificial Intelligence and Data Science',
+  AE: 'Aeronautical Engineering',
+  AI: 'Artificial Intelligence and Machine Learning',
+  AU: 'Automobile Engineering',
+  BT: 'Biotechnology',
+  CH: 'Chemical Engineering',
+  CS: 'Computer Science and Engineering',
+  CV: 'Civil Engineering',
+  EC: 'Electronics and Communication Engineering',
+  EE: 'Electrical and Electronics Engineering',
+  EI: 'Electronics and Instrumentation Engineering',
+  IM: 'Industrial Engineering and Management',
+  IS: 'Information Science and Engineering',
+  ME: 'Mechanical Engineering',
+  TE: 'Telecommunication Engineering',
+};
+
+const USN_FORMAT_MESSAGE = 'is not a valid USN (e.g. 1RV21CS001)';
+
+let formats;
+let branches;
+
+const readJsonEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Configured formats with compiled regexes, read once per process.
+ */
+const getFormats = () => {
+  if (formats) return formats;
+
+  const configured = readJsonEnv('USN_FORMATS', DEFAULT_FORMATS);
+  if (!Array.isArray(configured) || configured.length === 0) {
+    throw new Error('USN_FORMATS must be a non-empty JSON array');
+  }
+
+  formats = configured.map(({ name, pattern }) => {
+    const regex = new RegExp(pattern);
+    if (!/\(\?<college>/.test(pattern) || !/\(\?<year>/.test(pattern)) {
+      throw new Error(`USN format ${name} must capture "college" and "year"`);
+    }
+    return { name, regex };
+  });
+
+  return formats;
+};
+
+const getBranches = () => {
+  if (!branches) {
+    branches = { ...DEFAULT_BRANCHES, ...readJsonEnv('USN_BRANCHES', {}) };
+  }
+  return branches;
+};
+
+/**
+ * Upper-cased USN with all whitespace removed.
+ */
+const normalizeUsn = (usn) => String(usn).replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Decode a normalised USN with the first matching format, or null if none
+ * matches.
+ */
+const parseUsn = (usn) => {
+  for (const { name, regex } of getFormats()) {
+    const match = regex.exec(usn);
+    if (!match) continue;
+
+    const { college, year, branch = null, roll = null } = match.groups;
+    return {
+      format: name,
+      college_code: college,
+      admission_year: 2000 + parseInt(year, 10),
+      branch_code: branch,
+      branch_name: branch ? getBranches()[branch] || null : null,
+      roll_no: roll,
+    };
+  }
+
+  return null;
+};
+
+const isValidUsn = (usn) => parseUsn(usn) !== null;
+
+/**
+ * Does the college code embedded in a decoded USN belong to `college`?
+ * Colleges whose USN code differs from their portal code set `usn_code`.
+ */
+const matchesCollege = (decoded, college) => {
+  const expected = college.usn_code || college.college_code;
+  return decoded.college_code.toUpperCase() === String(expected).toUpperCase();
+};
+
+module.exports = {
+  USN_FORMAT_MESSAGE,
+  normalizeUsn,
+  parseUsn,
+  isValidUsn,
+  matchesCollege,
+};
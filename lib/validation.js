@@ -0,0 +1,213 @@
+/**
+ * Declarative request validation shared by every function.
+ *
+ * A schema lists its fields and, optionally, cross-field checks:
+ *
+ *   const schema = {
+ *     fields: {
+ *       blood_group: { type: 'enum', values: BLOOD_GROUPS, required: true, uppercase: true },
+ *       address: { type: 'string', required: true, maxLength: 500 },
+ *       year_of_study: { type: 'integer', required: true, min: 1, max: 5 },
+ *     },
+ *     checks: [
+ *       { fields: ['year_of_study', 'semester'], field: 'semester', check: (value) => message or null },
+ *     ],
+ *   };
+ *
+ * validate(schema, input) returns `{ value, fields }`: `value` holds the
+ * normalised value of every field that passed (strings trimmed, integers
+ * parsed, datetimes as Date), and `fields` maps each failing field to one
+ * message, or is null when everything passed. A check only runs once all of
+ * its fields passed.
+ */
+
+const { ERRORS } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Integers go to sql.Int columns, so a rule without its own bounds still
+// keeps to INT's range; larger ids would otherwise fail in the query
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+const isMissing = (raw) => raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+// ============================================================================
+// Per-type rules. Each returns { value } or { error }.
+// ============================================================================
+
+const checkString = (raw, rule) => {
+  if (typeof raw !== 'string') return { error: 'must be text' };
+
+  let value = rule.trim === false ? raw : raw.trim();
+  if (rule.uppercase) value = value.toUpperCase();
+  if (rule.lowercase) value = value.toLowerCase();
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { error: `must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { error: rule.patternMessage || 'has an invalid format' };
+  }
+
+  return { value };
+};
+
+const checkInteger = (raw, rule) => {
+  const text = typeof raw === 'number' ? String(raw) : typeof raw === 'string' ? raw.trim() : '';
+  if (!/^-?\d+$/.test(text)) return { error: 'must be a whole number' };
+
+  const value = parseInt(text, 10);
+  const min = rule.min !== undefined ? rule.min : INT_MIN;
+  const max = rule.max !== undefined ? rule.max : INT_MAX;
+
+  if (value < min || value > max) {
+    if (min !== INT_MIN && max !== INT_MAX) return { error: `must be between ${min} and ${max}` };
+    if (value < min) return { error: `must be at least ${min}` };
+    return { error: `must be at most ${max}` };
+  }
+
+  return { value };
+};
+
+const checkEnum = (raw, rule) => {
+  if (typeof raw !== 'string') return { error: `must be one of: ${rule.values.join(', ')}` };
+
+  const value = rule.uppercase ? raw.trim().toUpperCase() : raw.trim();
+  if (!rule.values.includes(value)) {
+    return { error: `must be one of: ${rule.values.join(', ')}` };
+  }
+
+  return { value };
+};
+
+// ISO 8601 with a time and an explicit offset, so nothing depends on the
+// server's time zone: 2025-03-01T09:30:00+05:30 or 2025-03-01T04:00:00Z
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const checkDatetime = (raw) => {
+  if (typeof raw !== 'string' || !DATETIME_PATTERN.test(raw.trim())) {
+    return { error: 'must be a date and time with a time zone (e.g. 2025-03-01T09:30:00+05:30)' };
+  }
+
+  const text = raw.trim();
+  const value = new Date(text);
+  if (Number.isNaN(value.getTime())) return { error: 'is not a real date and time' };
+
+  // Date rolls impossible days over (2025-02-30 becomes March 2), so the
+  // calendar date as written must survive a round trip in its own offset
+  const zone = /([+-])(\d{2}):(\d{2})$/.exec(text);
+  const offsetMinutes = zone ? (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3])) : 0;
+  const local = new Date(value.getTime() + offsetMinutes * 60 * 1000).toISOString();
+  if (local.slice(0, 16) !== text.slice(0, 16)) return { error: 'is not a real date and time' };
+
+  return { value };
+};
+
+const checkBoolean = (raw) => {
+  if (typeof raw !== 'boolean') return { error: 'must be true or false' };
+  return { value: raw };
+};
+
+const checkArray = (raw, rule) => {
+  if (!Array.isArray(raw)) return { error: 'must be a list' };
+
+  const value = [];
+  for (const [index, item] of raw.entries()) {
+    const result = checkValue(item, rule.items);
+    if (result.error) return { error: `item ${index + 1} ${result.error}` };
+    if (!rule.unique || !value.includes(result.value)) value.push(result.value);
+  }
+
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return { error: rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items` };
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return { error: `must have at most ${rule.maxItems} items` };
+  }
+
+  return { value };
+};
+
+const TYPES = {
+  string: checkString,
+  integer: checkInteger,
+  enum: checkEnum,
+  datetime: checkDatetime,
+  boolean: checkBoolean,
+  array: checkArray,
+};
+
+function checkValue(raw, rule) {
+  const check = TYPES[rule.type];
+  if (!check) throw new Error(`Unknown validation type: ${rule.type}`);
+  return check(raw, rule);
+}
+
+// ============================================================================
+// validate
+// ============================================================================
+
+/**
+ * Validate `input` against `schema`. Missing optional fields are left out
+ * of `value` unless the rule has a `default`.
+ */
+const validate = (schema, input) => {
+  const source = input || {};
+  const value = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const raw = source[name];
+
+    if (isMissing(raw)) {
+      if (rule.required) {
+        fields[name] = 'is required';
+      } else if (rule.default !== undefined) {
+        value[name] = rule.default;
+      }
+      continue;
+    }
+
+    const result = checkValue(raw, rule);
+    if (result.error) {
+      fields[name] = result.error;
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  for (const { fields: involved, field, check } of schema.checks || []) {
+    if (fields[field] || !involved.every((name) => name in value)) continue;
+
+    const message = check(value);
+    if (message) fields[field] = message;
+  }
+
+  return {
+    value,
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+};
+
+/**
+ * 400 response carrying the per-field messages for inline display.
+ */
+const fieldErrorResponse = (headers, fields) => ({
+  statusCode: 400,
+  headers,
+  body: JSON.stringify({
+    error: ERRORS.VALIDATION_FAILED.message,
+    code: 'VALIDATION_FAILED',
+    fields,
+  }),
+});
+
+module.exports = {
+  EMAIL_PATTERN,
+  validate,
+  fieldErrorResponse,
+};
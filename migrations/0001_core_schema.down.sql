@@ -0,0 +1,6 @@
+DROP TABLE application_documents;
+DROP TABLE application_sessions;
+DROP TABLE student_applications;
+DROP TABLE students;
+DROP TABLE colleges;
+GO
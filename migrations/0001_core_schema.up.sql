@@ -0,0 +1,91 @@
+-- Colleges, students, applications, draft sessions and uploaded documents
+
+CREATE TABLE colleges (
+  college_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_colleges PRIMARY KEY,
+  college_name NVARCHAR(200) NOT NULL,
+  college_code VARCHAR(20) NOT NULL,
+  place NVARCHAR(100) NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_colleges_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_colleges_created_at DEFAULT SYSUTCDATETIME(),
+  CONSTRAINT UQ_colleges_college_code UNIQUE (college_code)
+);
+GO
+
+CREATE TABLE students (
+  student_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_students PRIMARY KEY,
+  usn VARCHAR(50) NOT NULL,
+  college_id INT NOT NULL CONSTRAINT FK_students_colleges REFERENCES colleges (college_id),
+  full_name VARCHAR(150) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(100) NOT NULL,
+  reapply_count INT NOT NULL CONSTRAINT DF_students_reapply_count DEFAULT 0,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_students_created_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_students_usn ON students (usn);
+CREATE UNIQUE INDEX UX_students_email ON students (email);
+CREATE INDEX IX_students_college_id ON students (college_id);
+GO
+
+CREATE TABLE student_applications (
+  application_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_student_applications PRIMARY KEY,
+  student_id INT NOT NULL CONSTRAINT FK_student_applications_students REFERENCES students (student_id),
+  blood_group VARCHAR(5) NULL,
+  address VARCHAR(500) NULL,
+  department VARCHAR(100) NULL,
+  year_of_study INT NULL,
+  semester INT NULL,
+  college_code VARCHAR(20) NOT NULL,
+  attempt_no INT NOT NULL CONSTRAINT DF_student_applications_attempt_no DEFAULT 1,
+  status VARCHAR(20) NOT NULL,
+  submitted_at DATETIME2 NOT NULL CONSTRAINT DF_student_applications_submitted_at DEFAULT SYSUTCDATETIME(),
+  reviewed_at DATETIME2 NULL,
+  reviewed_by INT NULL,
+  rejected_reason NVARCHAR(1000) NULL,
+  organiser_remarks NVARCHAR(1000) NULL,
+  final_approved_at DATETIME2 NULL,
+  final_approved_by INT NULL,
+  CONSTRAINT CK_student_applications_status CHECK (
+    status IN ('SUBMITTED', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'FINAL_APPROVED')
+  )
+);
+GO
+
+CREATE INDEX IX_student_applications_student_id ON student_applications (student_id);
+CREATE INDEX IX_student_applications_college_status ON student_applications (college_code, status);
+GO
+
+-- session_id is the primary key, so lookups by session use the clustered index
+CREATE TABLE application_sessions (
+  session_id VARCHAR(64) NOT NULL CONSTRAINT PK_application_sessions PRIMARY KEY,
+  student_id INT NOT NULL CONSTRAINT FK_application_sessions_students REFERENCES students (student_id),
+  application_id INT NULL CONSTRAINT FK_application_sessions_student_applications REFERENCES student_applications (application_id),
+  expires_at DATETIME2 NOT NULL,
+  attempt_no INT NOT NULL,
+  college_code VARCHAR(20) NOT NULL,
+  consumed_at DATETIME2 NULL,
+  blood_group VARCHAR(5) NULL,
+  address VARCHAR(500) NULL,
+  department VARCHAR(100) NULL,
+  year_of_study INT NULL,
+  semester INT NULL,
+  updated_at DATETIME2 NOT NULL CONSTRAINT DF_application_sessions_updated_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_application_sessions_student_id ON application_sessions (student_id, expires_at);
+GO
+
+CREATE TABLE application_documents (
+  document_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_application_documents PRIMARY KEY,
+  application_id INT NOT NULL CONSTRAINT FK_application_documents_student_applications REFERENCES student_applications (application_id),
+  document_type VARCHAR(50) NOT NULL,
+  document_url VARCHAR(500) NOT NULL,
+  attempt_no INT NOT NULL CONSTRAINT DF_application_documents_attempt_no DEFAULT 1,
+  uploaded_at DATETIME2 NOT NULL CONSTRAINT DF_application_documents_uploaded_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_application_documents_application_attempt ON application_documents (application_id, attempt_no);
+GO
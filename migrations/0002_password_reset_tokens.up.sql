@@ -0,0 +1,15 @@
+-- Single-use password reset tokens; only the SHA-256 of the token is stored
+
+CREATE TABLE password_reset_tokens (
+  token_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_password_reset_tokens PRIMARY KEY,
+  student_id INT NOT NULL CONSTRAINT FK_password_reset_tokens_students REFERENCES students (student_id),
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME2 NOT NULL,
+  used_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_password_reset_tokens_created_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_password_reset_tokens_token_hash ON password_reset_tokens (token_hash);
+CREATE INDEX IX_password_reset_tokens_student_id ON password_reset_tokens (student_id);
+GO
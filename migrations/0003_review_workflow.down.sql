@@ -0,0 +1,10 @@
+DROP TABLE application_status_history;
+GO
+
+ALTER TABLE student_applications DROP CONSTRAINT FK_student_applications_organisers;
+ALTER TABLE student_applications DROP CONSTRAINT FK_student_applications_college_reviewers;
+GO
+
+DROP TABLE organisers;
+DROP TABLE college_reviewers;
+GO
@@ -0,0 +1,52 @@
+-- College reviewers, organisers and the application status timeline
+
+CREATE TABLE college_reviewers (
+  reviewer_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_college_reviewers PRIMARY KEY,
+  college_id INT NOT NULL CONSTRAINT FK_college_reviewers_colleges REFERENCES colleges (college_id),
+  full_name VARCHAR(150) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(100) NOT NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_college_reviewers_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_college_reviewers_created_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_college_reviewers_email ON college_reviewers (email);
+GO
+
+CREATE TABLE organisers (
+  organiser_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_organisers PRIMARY KEY,
+  full_name VARCHAR(150) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(100) NOT NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_organisers_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_organisers_created_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_organisers_email ON organisers (email);
+GO
+
+ALTER TABLE student_applications
+  ADD CONSTRAINT FK_student_applications_college_reviewers
+  FOREIGN KEY (reviewed_by) REFERENCES college_reviewers (reviewer_id);
+
+ALTER TABLE student_applications
+  ADD CONSTRAINT FK_student_applications_organisers
+  FOREIGN KEY (final_approved_by) REFERENCES organisers (organiser_id);
+GO
+
+CREATE TABLE application_status_history (
+  history_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_application_status_history PRIMARY KEY,
+  application_id INT NOT NULL CONSTRAINT FK_application_status_history_student_applications REFERENCES student_applications (application_id),
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_role VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  reason NVARCHAR(1000) NULL,
+  changed_at DATETIME2 NOT NULL CONSTRAINT DF_application_status_history_changed_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_application_status_history_application_id ON application_status_history (application_id, changed_at);
+GO
@@ -0,0 +1,2 @@
+DROP TABLE document_access_log;
+GO
@@ -0,0 +1,15 @@
+-- One row per read link handed out by document-access
+
+CREATE TABLE document_access_log (
+  access_id BIGINT IDENTITY(1,1) NOT NULL CONSTRAINT PK_document_access_log PRIMARY KEY,
+  application_id INT NOT NULL CONSTRAINT FK_document_access_log_student_applications REFERENCES student_applications (application_id),
+  document_id INT NOT NULL CONSTRAINT FK_document_access_log_application_documents REFERENCES application_documents (document_id),
+  actor_role VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  client_ip VARCHAR(45) NULL,
+  accessed_at DATETIME2 NOT NULL CONSTRAINT DF_document_access_log_accessed_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_document_access_log_application_id ON document_access_log (application_id, accessed_at);
+GO
@@ -0,0 +1,2 @@
+DROP TABLE college_departments;
+GO
@@ -0,0 +1,13 @@
+-- Departments each college offers; application forms must name one of them
+
+CREATE TABLE college_departments (
+  department_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_college_departments PRIMARY KEY,
+  college_id INT NOT NULL CONSTRAINT FK_college_departments_colleges REFERENCES colleges (college_id),
+  department_name VARCHAR(100) NOT NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_college_departments_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_college_departments_created_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_college_departments_college_name ON college_departments (college_id, department_name);
+GO
@@ -0,0 +1,2 @@
+DROP TABLE student_roster;
+GO
@@ -0,0 +1,20 @@
+-- Eligible students per college, imported from college rosters.
+-- A USN can be on exactly one college's roster; registration requires it.
+
+CREATE TABLE student_roster (
+  roster_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_student_roster PRIMARY KEY,
+  college_id INT NOT NULL CONSTRAINT FK_student_roster_colleges REFERENCES colleges (college_id),
+  usn VARCHAR(50) NOT NULL,
+  full_name VARCHAR(150) NOT NULL,
+  email VARCHAR(255) NULL,
+  department VARCHAR(100) NULL,
+  imported_by_role VARCHAR(20) NOT NULL,
+  imported_by_id INT NULL,
+  imported_at DATETIME2 NOT NULL CONSTRAINT DF_student_roster_imported_at DEFAULT SYSUTCDATETIME(),
+  updated_at DATETIME2 NOT NULL CONSTRAINT DF_student_roster_updated_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE UNIQUE INDEX UX_student_roster_usn ON student_roster (usn);
+CREATE INDEX IX_student_roster_college_id ON student_roster (college_id);
+GO
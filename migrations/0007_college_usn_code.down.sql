@@ -0,0 +1,2 @@
+ALTER TABLE colleges DROP COLUMN usn_code;
+GO
@@ -0,0 +1,5 @@
+-- College code as embedded in its students' USNs (e.g. RV in 1RV21CS001),
+-- for colleges where it differs from college_code
+
+ALTER TABLE colleges ADD usn_code VARCHAR(10) NULL;
+GO
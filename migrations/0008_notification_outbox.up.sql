@@ -0,0 +1,25 @@
+-- Outgoing emails. Rows are written in the same transaction as the event
+-- that caused them and sent (and retried) by notification-dispatch.
+
+CREATE TABLE notification_outbox (
+  notification_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_notification_outbox PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  application_id INT NULL CONSTRAINT FK_notification_outbox_student_applications REFERENCES student_applications (application_id),
+  recipient VARCHAR(255) NOT NULL,
+  subject NVARCHAR(300) NOT NULL,
+  body_text NVARCHAR(MAX) NOT NULL,
+  body_html NVARCHAR(MAX) NULL,
+  status VARCHAR(20) NOT NULL CONSTRAINT DF_notification_outbox_status DEFAULT 'PENDING',
+  attempts INT NOT NULL CONSTRAINT DF_notification_outbox_attempts DEFAULT 0,
+  next_attempt_at DATETIME2 NOT NULL CONSTRAINT DF_notification_outbox_next_attempt_at DEFAULT SYSUTCDATETIME(),
+  last_error NVARCHAR(1000) NULL,
+  provider_message_id VARCHAR(255) NULL,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_notification_outbox_created_at DEFAULT SYSUTCDATETIME(),
+  sent_at DATETIME2 NULL,
+  CONSTRAINT CK_notification_outbox_status CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'FAILED'))
+);
+GO
+
+CREATE INDEX IX_notification_outbox_due ON notification_outbox (status, next_attempt_at);
+CREATE INDEX IX_notification_outbox_application_id ON notification_outbox (application_id);
+GO
@@ -0,0 +1,12 @@
+-- Fixed-window request counters shared by every function instance.
+-- bucket_key is "<action>:<scope>:<value>", e.g. "check_usn:ip:203.0.113.7".
+
+CREATE TABLE rate_limits (
+  bucket_key VARCHAR(200) NOT NULL CONSTRAINT PK_rate_limits PRIMARY KEY,
+  window_start DATETIME2 NOT NULL,
+  request_count INT NOT NULL
+);
+GO
+
+CREATE INDEX IX_rate_limits_window_start ON rate_limits (window_start);
+GO
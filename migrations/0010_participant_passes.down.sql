@@ -0,0 +1,5 @@
+DROP TABLE pass_checkins;
+GO
+
+DROP TABLE participant_passes;
+GO
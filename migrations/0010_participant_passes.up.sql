@@ -0,0 +1,30 @@
+-- Entry passes for FINAL_APPROVED applications and the gate check-ins made
+-- with them. pass_code is the random part signed into the pass QR code.
+
+CREATE TABLE participant_passes (
+  pass_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_participant_passes PRIMARY KEY,
+  application_id INT NOT NULL CONSTRAINT FK_participant_passes_student_applications REFERENCES student_applications (application_id),
+  pass_code VARCHAR(32) NOT NULL,
+  issued_at DATETIME2 NOT NULL CONSTRAINT DF_participant_passes_issued_at DEFAULT SYSUTCDATETIME(),
+  revoked_at DATETIME2 NULL,
+  revoked_by INT NULL CONSTRAINT FK_participant_passes_organisers REFERENCES organisers (organiser_id),
+  revoked_reason NVARCHAR(500) NULL,
+  CONSTRAINT UQ_participant_passes_application_id UNIQUE (application_id),
+  CONSTRAINT UQ_participant_passes_pass_code UNIQUE (pass_code)
+);
+GO
+
+-- Every verification of a genuine pass, accepted or not
+CREATE TABLE pass_checkins (
+  checkin_id BIGINT IDENTITY(1,1) NOT NULL CONSTRAINT PK_pass_checkins PRIMARY KEY,
+  pass_id INT NOT NULL CONSTRAINT FK_pass_checkins_participant_passes REFERENCES participant_passes (pass_id),
+  organiser_id INT NOT NULL CONSTRAINT FK_pass_checkins_organisers REFERENCES organisers (organiser_id),
+  gate NVARCHAR(50) NULL,
+  accepted BIT NOT NULL,
+  reason NVARCHAR(200) NULL,
+  checked_at DATETIME2 NOT NULL CONSTRAINT DF_pass_checkins_checked_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_pass_checkins_pass_id ON pass_checkins (pass_id, checked_at);
+GO
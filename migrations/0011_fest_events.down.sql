@@ -0,0 +1,8 @@
+DROP TABLE event_registration_members;
+GO
+
+DROP TABLE event_registrations;
+GO
+
+DROP TABLE fest_events;
+GO
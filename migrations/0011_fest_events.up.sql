@@ -0,0 +1,60 @@
+-- Fest event catalogue and per-event registrations. A registration is one
+-- entry (a solo participant or a team) from one college; its members are
+-- the students taking part, the lead included.
+
+CREATE TABLE fest_events (
+  event_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_fest_events PRIMARY KEY,
+  event_name NVARCHAR(200) NOT NULL,
+  description NVARCHAR(2000) NULL,
+  participation_type VARCHAR(10) NOT NULL,
+  min_team_size INT NOT NULL CONSTRAINT DF_fest_events_min_team_size DEFAULT 1,
+  max_team_size INT NOT NULL CONSTRAINT DF_fest_events_max_team_size DEFAULT 1,
+  -- Entries allowed per college; NULL means no limit
+  slots_per_college INT NULL,
+  venue NVARCHAR(200) NULL,
+  starts_at DATETIME2 NOT NULL,
+  ends_at DATETIME2 NOT NULL,
+  -- NULL means registration stays open until the event starts
+  registration_closes_at DATETIME2 NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_fest_events_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_fest_events_created_at DEFAULT SYSUTCDATETIME(),
+  CONSTRAINT CK_fest_events_participation_type CHECK (participation_type IN ('SOLO', 'GROUP')),
+  CONSTRAINT CK_fest_events_team_size CHECK (
+    min_team_size >= 1
+    AND max_team_size >= min_team_size
+    AND (participation_type = 'GROUP' OR max_team_size = 1)
+  ),
+  CONSTRAINT CK_fest_events_slots CHECK (slots_per_college IS NULL OR slots_per_college >= 1),
+  CONSTRAINT CK_fest_events_schedule CHECK (ends_at > starts_at)
+);
+GO
+
+CREATE INDEX IX_fest_events_starts_at ON fest_events (starts_at);
+GO
+
+CREATE TABLE event_registrations (
+  registration_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_event_registrations PRIMARY KEY,
+  event_id INT NOT NULL CONSTRAINT FK_event_registrations_fest_events REFERENCES fest_events (event_id),
+  college_id INT NOT NULL CONSTRAINT FK_event_registrations_colleges REFERENCES colleges (college_id),
+  lead_student_id INT NOT NULL CONSTRAINT FK_event_registrations_students REFERENCES students (student_id),
+  team_name NVARCHAR(100) NULL,
+  registered_at DATETIME2 NOT NULL CONSTRAINT DF_event_registrations_registered_at DEFAULT SYSUTCDATETIME()
+);
+GO
+
+CREATE INDEX IX_event_registrations_event_college ON event_registrations (event_id, college_id);
+GO
+
+-- event_id is repeated here so a student can be in at most one entry per event
+CREATE TABLE event_registration_members (
+  registration_id INT NOT NULL CONSTRAINT FK_event_registration_members_event_registrations REFERENCES event_registrations (registration_id),
+  event_id INT NOT NULL CONSTRAINT FK_event_registration_members_fest_events REFERENCES fest_events (event_id),
+  student_id INT NOT NULL CONSTRAINT FK_event_registration_members_students REFERENCES students (student_id),
+  is_lead BIT NOT NULL CONSTRAINT DF_event_registration_members_is_lead DEFAULT 0,
+  CONSTRAINT PK_event_registration_members PRIMARY KEY (registration_id, student_id),
+  CONSTRAINT UQ_event_registration_members_event_student UNIQUE (event_id, student_id)
+);
+GO
+
+CREATE INDEX IX_event_registration_members_student_id ON event_registration_members (student_id);
+GO
@@ -0,0 +1,37 @@
+-- Documents a student uploads with an application. A row with college_id
+-- and/or season set overrides the general row of the same document_type for
+-- that college / season; an inactive override removes the document there.
+-- blob_name is the upload slot inside the attempt's blob folder.
+
+CREATE TABLE document_requirements (
+  requirement_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_document_requirements PRIMARY KEY,
+  document_type VARCHAR(50) NOT NULL,
+  blob_name VARCHAR(50) NOT NULL,
+  label NVARCHAR(200) NOT NULL,
+  is_required BIT NOT NULL CONSTRAINT DF_document_requirements_is_required DEFAULT 1,
+  -- Comma-separated MIME types
+  allowed_types VARCHAR(200) NOT NULL CONSTRAINT DF_document_requirements_allowed_types DEFAULT 'application/pdf,image/jpeg,image/png',
+  max_bytes INT NOT NULL CONSTRAINT DF_document_requirements_max_bytes DEFAULT 5242880,
+  sort_order INT NOT NULL CONSTRAINT DF_document_requirements_sort_order DEFAULT 0,
+  college_id INT NULL CONSTRAINT FK_document_requirements_colleges REFERENCES colleges (college_id),
+  season VARCHAR(20) NULL,
+  is_active BIT NOT NULL CONSTRAINT DF_document_requirements_is_active DEFAULT 1,
+  created_at DATETIME2 NOT NULL CONSTRAINT DF_document_requirements_created_at DEFAULT SYSUTCDATETIME(),
+  CONSTRAINT CK_document_requirements_max_bytes CHECK (max_bytes > 0)
+);
+GO
+
+-- NULLs compare equal here, so there is one general row per document_type
+CREATE UNIQUE INDEX UX_document_requirements_scope ON document_requirements (document_type, college_id, season);
+GO
+
+-- The three documents that used to be hardcoded, plus this season's photo
+-- and principal's consent letter
+INSERT INTO document_requirements (document_type, blob_name, label, is_required, allowed_types, max_bytes, sort_order)
+VALUES
+  ('AADHAR', 'aadhaar', 'Aadhaar card', 1, 'application/pdf,image/jpeg,image/png', 5242880, 10),
+  ('COLLEGE_ID', 'college_id_card', 'College ID card', 1, 'application/pdf,image/jpeg,image/png', 5242880, 20),
+  ('SSLC', 'marks_card_10th', '10th standard marks card', 1, 'application/pdf,image/jpeg,image/png', 5242880, 30),
+  ('PHOTO', 'photo', 'Passport-size photo', 1, 'image/jpeg,image/png', 2097152, 40),
+  ('PRINCIPAL_CONSENT', 'principal_consent', 'Consent letter signed by the principal', 1, 'application/pdf,image/jpeg,image/png', 5242880, 50);
+GO
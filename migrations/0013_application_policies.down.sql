@@ -0,0 +1,2 @@
+DROP TABLE application_policies;
+GO
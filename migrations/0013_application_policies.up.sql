@@ -0,0 +1,28 @@
+-- When students can apply and on what terms. The row with college_id NULL
+-- is the general policy; a college row overrides it field by field, with
+-- NULL meaning "as the general policy". On the general row NULL dates mean
+-- no limit.
+
+CREATE TABLE application_policies (
+  policy_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_application_policies PRIMARY KEY,
+  college_id INT NULL CONSTRAINT FK_application_policies_colleges REFERENCES colleges (college_id),
+  opens_at DATETIME2 NULL,
+  closes_at DATETIME2 NULL,
+  max_reapplications INT NULL,
+  session_minutes INT NULL,
+  updated_at DATETIME2 NOT NULL CONSTRAINT DF_application_policies_updated_at DEFAULT SYSUTCDATETIME(),
+  updated_by INT NULL CONSTRAINT FK_application_policies_organisers REFERENCES organisers (organiser_id),
+  CONSTRAINT CK_application_policies_window CHECK (opens_at IS NULL OR closes_at IS NULL OR closes_at > opens_at),
+  CONSTRAINT CK_application_policies_max_reapplications CHECK (max_reapplications IS NULL OR max_reapplications >= 0),
+  CONSTRAINT CK_application_policies_session_minutes CHECK (session_minutes IS NULL OR session_minutes BETWEEN 5 AND 240)
+);
+GO
+
+-- NULLs compare equal here, so there is a single general row
+CREATE UNIQUE INDEX UX_application_policies_college_id ON application_policies (college_id);
+GO
+
+-- The values that used to be hardcoded; always open
+INSERT INTO application_policies (college_id, opens_at, closes_at, max_reapplications, session_minutes)
+VALUES (NULL, NULL, NULL, 2, 25);
+GO
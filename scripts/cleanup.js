@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Run the cleanup that cleanup-expired does on a schedule, e.g. to preview
+ * it before the first scheduled run.
+ *
+ *   npm run cleanup -- --dry-run   report what would be deleted
+ *   npm run cleanup                delete it
+ *
+ * Prints the summary as JSON, with the USNs in blob paths masked.
+ */
+const { getPool } = require('../dbConfig');
+const { runCleanup } = require('../lib/cleanup');
+const { redact } = require('../lib/logger');
+
+// ============================================================================
+// MAIN
+// ============================================================================
+const main = async () => {
+  const args = process.argv.slice(2);
+  const unknown = args.filter((arg) => arg !== '--dry-run');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown argument "${unknown[0]}" (expected --dry-run)`);
+  }
+
+  const pool = await getPool();
+
+  try {
+    const summary = await runCleanup(pool, { dryRun: args.includes('--dry-run') });
+    console.log(JSON.stringify(redact(summary), null, 2));
+  } finally {
+    // A one-off process, unlike the functions, so the shared pool is closed here
+    await pool.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('Cleanup failed:', error.message);
+  process.exit(1);
+});
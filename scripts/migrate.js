@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Schema migration runner.
+ *
+ *   npm run migrate              apply every pending migration (same as `up`)
+ *   npm run migrate -- up        apply every pending migration
+ *   npm run migrate -- down [n]  roll back the last n applied migrations (default 1)
+ *   npm run migrate -- status    list migrations and whether they are applied
+ *
+ * Migrations live in migrations/ as NNNN_name.up.sql / NNNN_name.down.sql and
+ * run in filename order. Scripts are split into batches on `GO` lines, and
+ * each migration runs in one transaction together with its schema_migrations
+ * bookkeeping row, so a failed migration leaves nothing behind.
+ */
+const fs = require('fs');
+const path = require('path');
+const { sql, getPool, withTransaction } = require('../dbConfig');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// ============================================================================
+// HELPER: Discover migrations on disk, ordered by version
+// ============================================================================
+const loadMigrations = () => {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, number, name, direction] = match;
+    const version = `${number}_${name}`;
+    const migration = byVersion.get(version) || { version, up: null, down: null };
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version} needs both an .up.sql and a .down.sql file`);
+    }
+  }
+
+  return migrations;
+};
+
+// ============================================================================
+// HELPER: Split a script into batches on lines containing only GO
+// ============================================================================
+const splitBatches = (script) => {
+  return script
+    .split(/^\s*GO\s*$/im)
+    .map((batch) => batch.trim())
+    .filter(Boolean);
+};
+
+const ensureMigrationsTable = async (pool) => {
+  await pool.request().query(`
+    IF OBJECT_ID('schema_migrations', 'U') IS NULL
+    CREATE TABLE schema_migrations (
+      version VARCHAR(100) NOT NULL CONSTRAINT PK_schema_migrations PRIMARY KEY,
+      applied_at DATETIME2 NOT NULL CONSTRAINT DF_schema_migrations_applied_at DEFAULT SYSUTCDATETIME()
+    )
+  `);
+};
+
+const getAppliedVersions = async (pool) => {
+  const result = await pool.request().query(`
+    SELECT version
+    FROM schema_migrations
+    ORDER BY version ASC
+  `);
+
+  return result.recordset.map((row) => row.version);
+};
+
+const runScript = async (transaction, file) => {
+  for (const batch of splitBatches(fs.readFileSync(file, 'utf8'))) {
+    await transaction.request().batch(batch);
+  }
+};
+
+// ============================================================================
+// COMMAND: up
+// ============================================================================
+const up = async (pool) => {
+  const applied = new Set(await getAppliedVersions(pool));
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    await withTransaction(pool, async (transaction) => {
+      await runScript(transaction, migration.up);
+      await transaction
+        .request()
+        .input('version', sql.VarChar(100), migration.version)
+        .query(`
+          INSERT INTO schema_migrations (version, applied_at)
+          VALUES (@version, SYSUTCDATETIME())
+        `);
+    });
+    console.log(`Applied ${migration.version}`);
+  }
+};
+
+// ============================================================================
+// COMMAND: down
+// ============================================================================
+const down = async (pool, steps) => {
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  const toRevert = (await getAppliedVersions(pool)).reverse().slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('No applied migrations to roll back');
+    return;
+  }
+
+  for (const version of toRevert) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} has no files in migrations/`);
+    }
+
+    await withTransaction(pool, async (transaction) => {
+      await runScript(transaction, migration.down);
+      await transaction
+        .request()
+        .input('version', sql.VarChar(100), version)
+        .query(`
+          DELETE FROM schema_migrations
+          WHERE version = @version
+        `);
+    });
+    console.log(`Rolled back ${version}`);
+  }
+};
+
+// ============================================================================
+// COMMAND: status
+// ============================================================================
+const status = async (pool) => {
+  const applied = new Set(await getAppliedVersions(pool));
+
+  for (const migration of loadMigrations()) {
+    console.log(`${applied.has(migration.version) ? '[x]' : '[ ]'} ${migration.version}`);
+  }
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const pool = await getPool();
+
+  try {
+    await ensureMigrationsTable(pool);
+
+    if (command === 'up') {
+      await up(pool);
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps <= 0) {
+        throw new Error('down takes a positive number of migrations to roll back');
+      }
+      await down(pool, steps);
+    } else if (command === 'status') {
+      await status(pool);
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    // A one-off process, unlike the functions, so the shared pool is closed here
+    await pool.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startAzurite } = require('./helpers/azurite');
+const {
+  getContainerClient,
+  getAttemptBasePath,
+  getSubmittedPath,
+  copyBlob,
+  sniffContentType,
+  verifyDocumentBlob,
+} = require('../lib/blobStorage');
+
+const PDF = Buffer.from('%PDF-1.4\n%test\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+describe('sniffContentType', () => {
+  it('recognises PDF, JPEG and PNG by their leading bytes', () => {
+    assert.equal(sniffContentType(PDF), 'application/pdf');
+    assert.equal(sniffContentType(JPEG), 'image/jpeg');
+    assert.equal(sniffContentType(PNG), 'image/png');
+  });
+
+  it('returns null for anything else, including truncated headers', () => {
+    assert.equal(sniffContentType(Buffer.from('MZ\x90\x00')), null);
+    assert.equal(sniffContentType(Buffer.from('%PDF')), null);
+    assert.equal(sniffContentType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('verifyDocumentBlob against Azurite', () => {
+  let azurite;
+  const base = getAttemptBasePath('RVCE', '1RV21CS001', 1);
+
+  const upload = (name, buffer, contentType) => getContainerClient()
+    .getBlockBlobClient(`${base}/${name}`)
+    .uploadData(buffer, { blobHTTPHeaders: { blobContentType: contentType } });
+
+  before(async () => {
+    azurite = await startAzurite();
+    await getContainerClient().createIfNotExists();
+  });
+
+  after(async () => {
+    if (azurite) await azurite.stop();
+  });
+
+  it('accepts a PDF uploaded with its own content type', async () => {
+    await upload('aadhaar', PDF, 'application/pdf');
+    assert.deepEqual(await verifyDocumentBlob(`${base}/aadhaar`), []);
+  });
+
+  it('reports a document that was never uploaded', async () => {
+    assert.deepEqual(await verifyDocumentBlob(`${base}/missing`), ['Document has not been uploaded']);
+  });
+
+  it('rejects an empty upload', async () => {
+    await upload('empty', Buffer.alloc(0), 'application/pdf');
+    assert.deepEqual(await verifyDocumentBlob(`${base}/empty`), ['Document is empty']);
+  });
+
+  it('rejects contents that do not match the declared type', async () => {
+    await upload('renamed', Buffer.from('MZ not really a pdf'), 'application/pdf');
+    const errors = await verifyDocumentBlob(`${base}/renamed`);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /File contents are not one of/);
+  });
+
+  it('rejects a declared type that differs from the contents', async () => {
+    await upload('mislabelled', PNG, 'image/jpeg');
+    const errors = await verifyDocumentBlob(`${base}/mislabelled`);
+    assert.deepEqual(errors, ['File contents (image/png) do not match content type image/jpeg']);
+  });
+
+  it('applies per-slot size and type limits', async () => {
+    await upload('photo', PDF, 'application/pdf');
+    const errors = await verifyDocumentBlob(`${base}/photo`, {
+      maxBytes: 4,
+      allowedTypes: ['image/jpeg', 'image/png'],
+    });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /larger than/);
+    assert.match(errors[1], /Content type application\/pdf is not allowed/);
+    assert.match(errors[2], /File contents are not one of/);
+  });
+
+  it('keeps the submitted copy when the upload is overwritten afterwards', async () => {
+    await upload('marks', PDF, 'application/pdf');
+    const submitted = getSubmittedPath(base, 'session-1', 'marks');
+    await copyBlob(`${base}/marks`, submitted);
+
+    await upload('marks', Buffer.from('overwritten'), 'application/pdf');
+
+    assert.deepEqual(await verifyDocumentBlob(submitted), []);
+    assert.notDeepEqual(await verifyDocumentBlob(`${base}/marks`), []);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { events } = require('../lib/repositories');
+
+// Records the statement and parameters a repository function sends; there
+// is no SQL Server here, so the query text is what can be checked
+const recordingExecutor = (recordset = []) => {
+  const sent = { inputs: {}, query: null };
+  const request = {
+    input: (name, type, value) => {
+      sent.inputs[name] = value;
+      return request;
+    },
+    query: async (text) => {
+      sent.query = text.replace(/\s+/g, ' ').trim();
+      return { recordset };
+    },
+  };
+  return { sent, executor: { request: () => request } };
+};
+
+describe('events.findClashes', () => {
+  const window = {
+    event_id: 4,
+    starts_at: new Date('2026-02-10T09:00:00Z'),
+    ends_at: new Date('2026-02-10T12:00:00Z'),
+    student_ids: [1, 2],
+  };
+
+  it('only counts active events', async () => {
+    const { sent, executor } = recordingExecutor();
+
+    await events.findClashes(executor, window);
+
+    assert.match(sent.query, /\bAND e\.is_active = 1\b/);
+    assert.match(sent.query, /e\.event_id <> @event_id/);
+    assert.match(sent.query, /e\.starts_at < @ends_at AND e\.ends_at > @starts_at/);
+  });
+
+  it('passes the window and students as parameters', async () => {
+    const clash = { student_id: 2, event_id: 7, event_name: 'Quiz' };
+    const { sent, executor } = recordingExecutor([clash]);
+
+    assert.deepEqual(await events.findClashes(executor, window), [clash]);
+    assert.deepEqual(sent.inputs, {
+      event_id: 4,
+      starts_at: window.starts_at,
+      ends_at: window.ends_at,
+      ids: '[1,2]',
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// Azurite's well-known development account
+const ACCOUNT_NAME = 'devstoreaccount1';
+const ACCOUNT_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+const AZURITE_BIN = path.join(__dirname, '..', '..', 'node_modules', '.bin', 'azurite-blob');
+const STARTUP_TIMEOUT_MS = 15000;
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const canConnect = (port) => new Promise((resolve) => {
+  const socket = net.connect(port, '127.0.0.1');
+  socket.once('connect', () => {
+    socket.destroy();
+    resolve(true);
+  });
+  socket.once('error', () => resolve(false));
+});
+
+/**
+ * Start an in-memory Azurite blob service on a free port and point
+ * lib/blobStorage at it. Call before blobStorage is first used; resolves to
+ * `{ stop }`.
+ */
+const startAzurite = async () => {
+  const port = await findFreePort();
+  const child = spawn(AZURITE_BIN, [
+    '--inMemoryPersistence',
+    '--silent',
+    '--skipApiVersionCheck',
+    '--blobHost', '127.0.0.1',
+    '--blobPort', String(port),
+  ], { stdio: 'ignore' });
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (!(await canConnect(port))) {
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error('Azurite did not start');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  process.env.AZURE_STORAGE_CONNECTION_STRING = [
+    'DefaultEndpointsProtocol=http',
+    `AccountName=${ACCOUNT_NAME}`,
+    `AccountKey=${ACCOUNT_KEY}`,
+    `BlobEndpoint=http://127.0.0.1:${port}/${ACCOUNT_NAME};`,
+  ].join(';');
+
+  return {
+    stop: () => new Promise((resolve) => {
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+};
+
+module.exports = {
+  startAzurite,
+};
@@ -0,0 +1,111 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'info';
+
+const { createLogger, redact } = require('../lib/logger');
+
+describe('redact', () => {
+  it('replaces values under sensitive keys at any depth', () => {
+    assert.deepEqual(redact({
+      application_id: 7,
+      student: { usn: '1RV21CS001', email: 'a@example.com', contact: { phone: '9999999999' } },
+      headers: { Authorization: 'Bearer abc' },
+    }), {
+      application_id: 7,
+      student: { usn: '[REDACTED]', email: '[REDACTED]', contact: { phone: '[REDACTED]' } },
+      headers: { Authorization: '[REDACTED]' },
+    });
+  });
+
+  it('masks USNs inside text, including mistyped ones', () => {
+    assert.equal(redact('rv/1RV21CS001/application/attempt-1/photo.jpg'), 'rv/[USN]/application/attempt-1/photo.jpg');
+    assert.equal(redact('no student 1rv21cs01'), 'no student [USN]');
+    assert.equal(redact('no student 1RV21CS0010'), 'no student [USN]');
+  });
+
+  it('leaves ids and hashes that are not USN-shaped alone', () => {
+    assert.equal(redact('request 69812a77-ea8d-434f etag 0x8DB2A1F3C4D5E6F'), 'request 69812a77-ea8d-434f etag 0x8DB2A1F3C4D5E6F');
+  });
+
+  it('masks emails, bearer tokens, JWTs and SAS signatures inside text', () => {
+    assert.equal(redact('550 rejected a.b+c@example.co.in'), '550 rejected [EMAIL]');
+    assert.equal(redact('sent Bearer abc.def-ghi'), 'sent Bearer [REDACTED]');
+    assert.equal(redact('token eyJhbGciOi.eyJzdWIiOjF9.c2lnbmF0dXJl'), 'token [REDACTED]');
+    assert.equal(
+      redact('https://x.blob.core.windows.net/c/a.pdf?sp=r&sig=abc%2Bdef&se=1'),
+      'https://x.blob.core.windows.net/c/a.pdf?sp=r&sig=[REDACTED]&se=1'
+    );
+  });
+
+  it('keeps the useful parts of errors', () => {
+    const error = Object.assign(new Error('Login failed for 1RV21CS001'), { code: 'ELOGIN', number: 18456 });
+    const copy = redact(error);
+
+    assert.equal(copy.name, 'Error');
+    assert.equal(copy.message, 'Login failed for [USN]');
+    assert.equal(copy.code, 'ELOGIN');
+    assert.equal(copy.number, 18456);
+    assert.equal(typeof copy.stack, 'string');
+  });
+
+  it('stops at a fixed depth', () => {
+    let value = { leaf: true };
+    for (let i = 0; i < 10; i++) value = { child: value };
+
+    assert.match(JSON.stringify(redact(value)), /"\[Truncated\]"/);
+  });
+});
+
+describe('createLogger', () => {
+  afterEach(() => mock.restoreAll());
+
+  const capture = (method) => {
+    const lines = [];
+    mock.method(console, method, (line) => lines.push(JSON.parse(line)));
+    return lines;
+  };
+
+  it('writes one JSON line tagged with the function and request id', () => {
+    const lines = capture('log');
+    const log = createLogger('college-admin', { headers: { 'x-nf-request-id': 'req-1' } });
+
+    log.info('Saved', { college_id: 3 });
+
+    assert.equal(log.request_id, 'req-1');
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].function, 'college-admin');
+    assert.equal(lines[0].request_id, 'req-1');
+    assert.equal(lines[0].message, 'Saved');
+    assert.equal(lines[0].college_id, 3);
+  });
+
+  it('does not let caller fields replace the fixed ones', () => {
+    const lines = capture('log');
+    const log = createLogger('college-admin', { headers: { 'x-nf-request-id': 'req-1' } });
+
+    log.info('Saved', { level: 'debug', function: 'other', request_id: 'forged', message: 'forged', time: 0 });
+
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].function, 'college-admin');
+    assert.equal(lines[0].request_id, 'req-1');
+    assert.equal(lines[0].message, 'Saved');
+    assert.notEqual(lines[0].time, 0);
+  });
+
+  it('sends warnings and errors to stderr and skips debug below LOG_LEVEL', () => {
+    const out = capture('log');
+    const err = capture('error');
+    const log = createLogger('cleanup');
+
+    log.debug('Scanning');
+    log.warn('Skipped', { url: 'rv/1RV21CS001/a' });
+    log.error('Failed', { error: new Error('boom') });
+
+    assert.equal(out.length, 0);
+    assert.deepEqual(err.map((line) => line.level), ['warn', 'error']);
+    assert.equal(err[0].url, 'rv/[USN]/a');
+    assert.equal(err[1].error.message, 'boom');
+  });
+});
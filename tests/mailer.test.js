@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { registerTransport, sendMail, getCapturedMail, clearCapturedMail } = require('../lib/mailer');
+
+const ENV_KEYS = ['MAIL_TRANSPORT', 'NETLIFY', 'CONTEXT', 'NETLIFY_DEV', 'MAIL_CAPTURE_DIR'];
+
+const message = { to: 'student@example.com', subject: 'Reset your password', text: 'link', html: '<p>link</p>' };
+
+describe('sendMail', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+    // Forget the transport picked by an earlier test
+    registerTransport('noop', () => ({ send: async () => ({ id: null }) }));
+    clearCapturedMail();
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('captures mail locally when MAIL_TRANSPORT is not set', async () => {
+    const { id } = await sendMail(message);
+
+    assert.match(id, /^capture-\d+$/);
+    assert.equal(getCapturedMail().length, 1);
+    assert.equal(getCapturedMail()[0].subject, 'Reset your password');
+  });
+
+  it('refuses to send on Netlify when MAIL_TRANSPORT is not set', async () => {
+    process.env.NETLIFY = 'true';
+
+    await assert.rejects(sendMail(message), /MAIL_TRANSPORT is not set/);
+    assert.equal(getCapturedMail().length, 0);
+  });
+
+  it('still captures under netlify dev', async () => {
+    process.env.CONTEXT = 'dev';
+    process.env.NETLIFY_DEV = 'true';
+
+    await sendMail(message);
+    assert.equal(getCapturedMail().length, 1);
+  });
+
+  it('uses the transport MAIL_TRANSPORT names on Netlify', async () => {
+    process.env.NETLIFY = 'true';
+    process.env.MAIL_TRANSPORT = 'noop';
+
+    assert.deepEqual(await sendMail(message), { id: null });
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once at load by lib/notifications, lib/mailer and lib/logger
+process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+process.env.MAIL_TRANSPORT = 'test';
+// The failures below are expected; keep their warnings out of the output
+process.env.LOG_LEVEL = 'error';
+
+const { outbox } = require('../lib/repositories');
+const { registerTransport } = require('../lib/mailer');
+const { dispatchPending } = require('../lib/notifications');
+
+const MINUTE_MS = 60 * 1000;
+
+// Recipients the test transport refuses
+const failingRecipients = new Set();
+registerTransport('test', () => ({
+  send: async (message) => {
+    if (failingRecipients.has(message.to)) throw new Error('mailbox unavailable');
+    return { id: `sent-to-${message.to}` };
+  },
+}));
+
+const notification = (notification_id, recipient, attempts) => ({
+  notification_id,
+  template: 'application_submitted',
+  recipient,
+  subject: 'Application received',
+  body_text: 'text',
+  body_html: '<p>text</p>',
+  attempts,
+});
+
+describe('dispatchPending', () => {
+  let due;
+  let sent;
+  let failed;
+
+  beforeEach(() => {
+    failingRecipients.clear();
+    sent = [];
+    failed = [];
+    outbox.claimDue = async () => due;
+    outbox.markSent = async (executor, id, provider_message_id) => {
+      sent.push({ id, provider_message_id });
+    };
+    outbox.markFailed = async (executor, id, last_error, retry_at) => {
+      failed.push({ id, last_error, retry_at });
+    };
+  });
+
+  it('marks delivered notifications sent with the provider id', async () => {
+    due = [notification(1, 'a@example.com', 1)];
+
+    assert.deepEqual(await dispatchPending({}), { sent: 1, retrying: 0, failed: 0 });
+    assert.deepEqual(sent, [{ id: 1, provider_message_id: 'sent-to-a@example.com' }]);
+  });
+
+  it('backs off exponentially from the attempt count', async () => {
+    failingRecipients.add('b@example.com');
+    due = [notification(2, 'b@example.com', 1), notification(3, 'b@example.com', 2)];
+
+    const before = Date.now();
+    assert.deepEqual(await dispatchPending({}), { sent: 0, retrying: 2, failed: 0 });
+    const after = Date.now();
+
+    const [first, second] = failed;
+    assert.equal(first.last_error, 'mailbox unavailable');
+    assert.ok(first.retry_at.getTime() >= before + 2 * MINUTE_MS && first.retry_at.getTime() <= after + 2 * MINUTE_MS);
+    assert.ok(second.retry_at.getTime() >= before + 4 * MINUTE_MS && second.retry_at.getTime() <= after + 4 * MINUTE_MS);
+  });
+
+  it('gives up after NOTIFICATION_MAX_ATTEMPTS', async () => {
+    failingRecipients.add('c@example.com');
+    due = [notification(4, 'c@example.com', 3), notification(5, 'd@example.com', 3)];
+
+    assert.deepEqual(await dispatchPending({}), { sent: 1, retrying: 0, failed: 1 });
+    assert.deepEqual(failed, [{ id: 4, last_error: 'mailbox unavailable', retry_at: null }]);
+  });
+});
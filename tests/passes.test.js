@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PASS_SIGNING_SECRET = 'test-pass-secret';
+
+const { generatePassCode, signPass, verifyPassToken } = require('../lib/passes');
+
+describe('signPass / verifyPassToken', () => {
+  it('round-trips the application id and pass code', () => {
+    const pass_code = generatePassCode();
+    assert.deepEqual(verifyPassToken(signPass(42, pass_code)), { application_id: 42, pass_code });
+  });
+
+  it('ignores surrounding whitespace from the scanner', () => {
+    const token = signPass(7, 'abc123');
+    assert.deepEqual(verifyPassToken(`  ${token}\n`), { application_id: 7, pass_code: 'abc123' });
+  });
+
+  it('rejects a token whose application id was changed', () => {
+    const [version, , pass_code, signature] = signPass(42, 'abc123').split('.');
+    assert.equal(verifyPassToken([version, 43, pass_code, signature].join('.')), null);
+  });
+
+  it('rejects a token whose pass code was changed', () => {
+    const [version, application_id, , signature] = signPass(42, 'abc123').split('.');
+    assert.equal(verifyPassToken([version, application_id, 'abc124', signature].join('.')), null);
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const token = signPass(42, 'abc123');
+    process.env.PASS_SIGNING_SECRET = 'another-secret';
+    try {
+      assert.equal(verifyPassToken(token), null);
+    } finally {
+      process.env.PASS_SIGNING_SECRET = 'test-pass-secret';
+    }
+  });
+
+  it('rejects malformed tokens', () => {
+    const signature = signPass(42, 'abc123').split('.')[3];
+    const tokens = [
+      '',
+      'PASS1.42.abc123',
+      `PASS2.42.abc123.${signature}`,
+      `PASS1.x42.abc123.${signature}`,
+      `PASS1.42.abc123.${signature}.extra`,
+    ];
+    for (const token of tokens) {
+      assert.equal(verifyPassToken(token), null, token);
+    }
+  });
+
+  it('rejects a truncated signature', () => {
+    const token = signPass(42, 'abc123');
+    assert.equal(verifyPassToken(token.slice(0, -2)), null);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rateLimits } = require('../lib/repositories');
+const { getClientIp, consume } = require('../lib/rateLimit');
+
+describe('getClientIp', () => {
+  it('uses the header Netlify sets', () => {
+    assert.equal(getClientIp({ headers: { 'x-nf-client-connection-ip': '203.0.113.7' } }), '203.0.113.7');
+  });
+
+  it('ignores X-Forwarded-For, which the client controls', () => {
+    assert.equal(getClientIp({ headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' } }), null);
+    assert.equal(getClientIp({}), null);
+  });
+});
+
+describe('consume', () => {
+  let buckets;
+
+  beforeEach(() => {
+    buckets = [];
+    rateLimits.hit = async (executor, bucket_key) => {
+      buckets.push(bucket_key);
+      return { request_count: 1, window_start: new Date() };
+    };
+  });
+
+  it('keys the IP scope on the client IP', async () => {
+    await consume({}, 'check_usn', { ip: '203.0.113.7' });
+    assert.deepEqual(buckets, ['check_usn:ip:203.0.113.7']);
+  });
+
+  it('puts requests without a client IP in one shared bucket', async () => {
+    await consume({}, 'check_usn', { ip: getClientIp({ headers: { 'x-forwarded-for': '198.51.100.1' } }) });
+    await consume({}, 'check_usn', { ip: getClientIp({ headers: { 'x-forwarded-for': '198.51.100.2' } }) });
+
+    assert.deepEqual(buckets, ['check_usn:ip:unknown', 'check_usn:ip:unknown']);
+  });
+
+  it('reports how long until the fullest bucket resets', async () => {
+    rateLimits.hit = async () => ({ request_count: 31, window_start: new Date(Date.now() - 60 * 1000) });
+
+    const limit = await consume({}, 'check_usn', { ip: '203.0.113.7' });
+
+    assert.equal(limit.limited, true);
+    assert.ok(limit.retry_after > 530 && limit.retry_after <= 540, String(limit.retry_after));
+  });
+});
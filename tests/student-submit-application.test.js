@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.LOG_LEVEL = 'error';
+
+// The handler destructures these at load, so they are stubbed before it is
+// required. The database and blob storage are never reached.
+const dbConfig = require('../dbConfig');
+const blobStorage = require('../lib/blobStorage');
+const applicationHistory = require('../lib/applicationHistory');
+const notifications = require('../lib/notifications');
+
+dbConfig.getPool = async () => ({});
+dbConfig.withTransaction = async (pool, work) => work({});
+applicationHistory.recordStatusChange = async () => {};
+notifications.queueApplicationEmail = async () => 1;
+notifications.sendQueuedNow = async () => {};
+
+let copies;
+blobStorage.getBlobFingerprint = async () => 'fingerprint';
+blobStorage.copyBlob = async (source, target) => copies.push({ source, target });
+blobStorage.verifyDocumentBlob = async () => [];
+blobStorage.getBlobUrl = (path) => `https://blobs.test/${path}`;
+
+const {
+  applications,
+  departments,
+  documentRequirements,
+  documents,
+  policies,
+  sessions,
+  students,
+} = require('../lib/repositories');
+const { signToken } = require('../lib/auth');
+const { handler } = require('../functions/student-submit-application');
+
+const SESSION_ID = 'a'.repeat(64);
+
+const finalize = () => handler({
+  httpMethod: 'POST',
+  headers: {
+    authorization: `Bearer ${signToken({ role: 'STUDENT', student_id: 1, usn: '1RV21CS001', college_id: 1 })}`,
+  },
+  body: JSON.stringify({ action: 'finalize_application', session_id: SESSION_ID }),
+});
+
+describe('finalize_application', () => {
+  let session;
+  let latest;
+  let latestUnderLock;
+  let created;
+
+  beforeEach(() => {
+    copies = [];
+    created = { resubmitted: [], documents: [] };
+    session = {
+      session_id: SESSION_ID,
+      consumed_at: null,
+      expires_at: new Date(Date.now() + 60 * 1000),
+      attempt_no: 2,
+      college_code: 'RV',
+      blood_group: 'O+',
+      address: 'Bengaluru',
+      department: 'Computer Science',
+      year_of_study: 2,
+      semester: 3,
+    };
+    latest = { application_id: 10, status: 'REJECTED', attempt_no: 1 };
+    latestUnderLock = undefined;
+
+    sessions.findForStudent = async () => session;
+    sessions.claim = async () => true;
+    sessions.linkApplication = async () => {};
+    sessions.findFinalizedApplicationId = async () => null;
+    policies.findForCollege = async () => ({ general: null, college: null });
+    departments.listActiveForCollege = async () => [];
+    documentRequirements.listEffective = async () => [
+      { blob_name: 'photo', document_type: 'PHOTO', is_required: true, max_bytes: 1024, allowed_types: ['image/jpeg'] },
+    ];
+    applications.findLatestByStudent = async (executor, student_id, { forUpdate = false } = {}) =>
+      (forUpdate && latestUnderLock !== undefined ? latestUnderLock : latest);
+    applications.resubmit = async (executor, application_id) => created.resubmitted.push(application_id);
+    applications.create = async () => 11;
+    students.findWithCollege = async () => ({ reapply_count: 0 });
+    students.incrementReapplyCount = async () => {};
+    documents.create = async (executor, doc) => created.documents.push(doc);
+  });
+
+  it('submits the next attempt after a rejection', async () => {
+    const response = await finalize();
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(created.resubmitted, [10]);
+    assert.equal(created.documents.length, 1);
+    assert.equal(created.documents[0].attempt_no, 2);
+  });
+
+  it('freezes each session\'s documents in a folder of its own', async () => {
+    await finalize();
+
+    const submitted = `RV/1RV21CS001/application/attempt-2/submitted/${SESSION_ID}/photo`;
+    assert.deepEqual(copies, [{ source: 'RV/1RV21CS001/application/attempt-2/photo', target: submitted }]);
+    assert.equal(created.documents[0].document_url, `https://blobs.test/${submitted}`);
+  });
+
+  it('refuses a session opened before the rejected attempt was submitted', async () => {
+    session.attempt_no = 1;
+
+    const response = await finalize();
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).code, 'SESSION_EXPIRED');
+    assert.deepEqual(copies, []);
+    assert.deepEqual(created, { resubmitted: [], documents: [] });
+  });
+
+  it('refuses a stale session found only under the lock', async () => {
+    session.attempt_no = 1;
+    latest = null;
+    latestUnderLock = { application_id: 10, status: 'REJECTED', attempt_no: 1 };
+
+    const response = await finalize();
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).code, 'SESSION_EXPIRED');
+    assert.deepEqual(created, { resubmitted: [], documents: [] });
+  });
+});
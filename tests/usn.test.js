@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once per process by lib/usn, so set before the first lookup: the
+// default VTU format plus a second university's
+process.env.USN_FORMATS = JSON.stringify([
+  {
+    name: 'VTU',
+    pattern: '^[1-4](?<college>[A-Z]{2})(?<year>\\d{2})(?<branch>[A-Z]{2,3})(?<roll>\\d{3})$',
+  },
+  {
+    name: 'AUTONOMOUS',
+    pattern: '^(?<college>[A-Z]{3})(?<year>\\d{2})(?<roll>\\d{4})$',
+  },
+]);
+process.env.USN_BRANCHES = JSON.stringify({ RA: 'Robotics and Automation' });
+
+const { normalizeUsn, parseUsn, isValidUsn, matchesCollege } = require('../lib/usn');
+
+describe('normalizeUsn', () => {
+  it('upper-cases and strips all whitespace', () => {
+    assert.equal(normalizeUsn(' 1rv 21cs\t001 '), '1RV21CS001');
+  });
+});
+
+describe('parseUsn', () => {
+  it('decodes a VTU USN', () => {
+    assert.deepEqual(parseUsn('1RV21CS001'), {
+      format: 'VTU',
+      college_code: 'RV',
+      admission_year: 2021,
+      branch_code: 'CS',
+      branch_name: 'Computer Science and Engineering',
+      roll_no: '001',
+    });
+  });
+
+  it('uses USN_BRANCHES for branch names, and null for unknown branches', () => {
+    assert.equal(parseUsn('1RV22RA010').branch_name, 'Robotics and Automation');
+    assert.equal(parseUsn('1RV22XYZ010').branch_name, null);
+  });
+
+  it('falls through to the next configured format', () => {
+    assert.deepEqual(parseUsn('PES230042'), {
+      format: 'AUTONOMOUS',
+      college_code: 'PES',
+      admission_year: 2023,
+      branch_code: null,
+      branch_name: null,
+      roll_no: '0042',
+    });
+  });
+
+  it('returns null when no format matches', () => {
+    for (const usn of ['', '1RV21CS01', '5RV21CS001', '1RV21CS0011', '1rv21cs001']) {
+      assert.equal(parseUsn(usn), null, usn);
+      assert.equal(isValidUsn(usn), false, usn);
+    }
+  });
+});
+
+describe('matchesCollege', () => {
+  const decoded = parseUsn('1RV21CS001');
+
+  it('compares against the college code', () => {
+    assert.equal(matchesCollege(decoded, { college_code: 'RV', usn_code: null }), true);
+    assert.equal(matchesCollege(decoded, { college_code: 'BM', usn_code: null }), false);
+  });
+
+  it('prefers usn_code when the college has one', () => {
+    assert.equal(matchesCollege(decoded, { college_code: 'RVCE', usn_code: 'rv' }), true);
+    assert.equal(matchesCollege(decoded, { college_code: 'RV', usn_code: 'BM' }), false);
+  });
+});
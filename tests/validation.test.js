@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, fieldErrorResponse } = require('../lib/validation');
+
+describe('validate', () => {
+  it('normalises every field that passes', () => {
+    const schema = {
+      fields: {
+        name: { type: 'string', required: true, maxLength: 10 },
+        usn: { type: 'string', uppercase: true },
+        email: { type: 'string', lowercase: true },
+        password: { type: 'string', trim: false },
+        year: { type: 'integer', min: 1, max: 5 },
+        blood_group: { type: 'enum', values: ['A+', 'O-'], uppercase: true },
+        agreed: { type: 'boolean' },
+      },
+    };
+
+    const { value, fields } = validate(schema, {
+      name: '  Asha  ',
+      usn: '1rv21cs001',
+      email: 'Asha@Example.COM',
+      password: '  spaced  ',
+      year: ' 3 ',
+      blood_group: 'o-',
+      agreed: false,
+    });
+
+    assert.equal(fields, null);
+    assert.deepEqual(value, {
+      name: 'Asha',
+      usn: '1RV21CS001',
+      email: 'asha@example.com',
+      password: '  spaced  ',
+      year: 3,
+      blood_group: 'O-',
+      agreed: false,
+    });
+  });
+
+  it('reports one message per failing field', () => {
+    const schema = {
+      fields: {
+        name: { type: 'string', required: true },
+        code: { type: 'string', pattern: /^[A-Z]+$/, patternMessage: 'must be letters' },
+        year: { type: 'integer', min: 1, max: 5 },
+        semester: { type: 'integer', min: 1 },
+        blood_group: { type: 'enum', values: ['A+', 'O-'] },
+        agreed: { type: 'boolean' },
+      },
+    };
+
+    const { fields } = validate(schema, {
+      name: '   ',
+      code: 'abc1',
+      year: '2.5',
+      semester: 0,
+      blood_group: 'C+',
+      agreed: 'yes',
+    });
+
+    assert.deepEqual(fields, {
+      name: 'is required',
+      code: 'must be letters',
+      year: 'must be a whole number',
+      semester: 'must be at least 1',
+      blood_group: 'must be one of: A+, O-',
+      agreed: 'must be true or false',
+    });
+  });
+
+  it('fills defaults only for missing optional fields', () => {
+    const schema = {
+      fields: {
+        page: { type: 'integer', min: 1, default: 1 },
+        search: { type: 'string', default: null },
+        note: { type: 'string' },
+      },
+    };
+
+    assert.deepEqual(validate(schema, {}).value, { page: 1, search: null });
+    assert.deepEqual(validate(schema, { page: '4', note: 'x' }).value, { page: 4, search: null, note: 'x' });
+    assert.deepEqual(validate(schema, undefined).value, { page: 1, search: null });
+  });
+
+  it('validates arrays item by item, dropping duplicates when unique', () => {
+    const schema = {
+      fields: {
+        ids: { type: 'array', items: { type: 'integer', min: 1 }, unique: true, minItems: 1, maxItems: 3 },
+      },
+    };
+
+    assert.deepEqual(validate(schema, { ids: [3, '3', 4] }).value, { ids: [3, 4] });
+    assert.deepEqual(validate(schema, { ids: [] }).fields, { ids: 'must not be empty' });
+    assert.deepEqual(validate(schema, { ids: [1, 2, 3, 4] }).fields, { ids: 'must have at most 3 items' });
+    assert.deepEqual(validate(schema, { ids: [1, 0] }).fields, { ids: 'item 2 must be at least 1' });
+    assert.deepEqual(validate(schema, { ids: '1,2' }).fields, { ids: 'must be a list' });
+  });
+
+  it('runs cross-field checks only once their fields passed', () => {
+    const schema = {
+      fields: {
+        year: { type: 'integer', required: true, min: 1, max: 5 },
+        semester: { type: 'integer', required: true, min: 1, max: 10 },
+      },
+      checks: [
+        {
+          fields: ['year', 'semester'],
+          field: 'semester',
+          check: ({ year, semester }) => (Math.ceil(semester / 2) === year ? null : 'does not match year'),
+        },
+      ],
+    };
+
+    assert.equal(validate(schema, { year: 2, semester: 4 }).fields, null);
+    assert.deepEqual(validate(schema, { year: 2, semester: 7 }).fields, { semester: 'does not match year' });
+    assert.deepEqual(validate(schema, { year: 9, semester: 7 }).fields, { year: 'must be between 1 and 5' });
+  });
+
+  it('keeps integers without their own bounds within the INT range', () => {
+    const schema = { fields: { application_id: { type: 'integer', min: 1 }, offset: { type: 'integer' } } };
+
+    assert.deepEqual(validate(schema, { application_id: '2147483647', offset: -2147483648 }).fields, null);
+    assert.deepEqual(validate(schema, { application_id: '99999999999', offset: '-2147483649' }).fields, {
+      application_id: 'must be at most 2147483647',
+      offset: 'must be at least -2147483648',
+    });
+  });
+
+  it('parses datetimes with their offset and rejects impossible dates', () => {
+    const schema = { fields: { starts_at: { type: 'datetime', required: true } } };
+
+    assert.equal(
+      validate(schema, { starts_at: '2025-03-01T09:30:00+05:30' }).value.starts_at.toISOString(),
+      '2025-03-01T04:00:00.000Z'
+    );
+    assert.equal(validate(schema, { starts_at: '2024-02-29T23:30-04:00' }).fields, null);
+    for (const starts_at of ['2025-02-30T09:00:00+05:30', '2025-04-31T10:00Z', '2025-01-01T24:00Z']) {
+      assert.deepEqual(validate(schema, { starts_at }).fields, { starts_at: 'is not a real date and time' }, starts_at);
+    }
+    assert.match(validate(schema, { starts_at: '2025-03-01 09:30' }).fields.starts_at, /with a time zone/);
+  });
+
+  it('refuses a schema with an unknown type', () => {
+    assert.throws(() => validate({ fields: { x: { type: 'uuid' } } }, { x: 'a' }), /Unknown validation type: uuid/);
+  });
+});
+
+describe('fieldErrorResponse', () => {
+  it('is a 400 with the field messages and a stable code', () => {
+    const headers = { 'Content-Type': 'application/json' };
+    const response = fieldErrorResponse(headers, { usn: 'is required' });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.headers, headers);
+    assert.deepEqual(JSON.parse(response.body), {
+      error: 'One or more fields are invalid',
+      code: 'VALIDATION_FAILED',
+      fields: { usn: 'is required' },
+    });
+  });
+});